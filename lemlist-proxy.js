@@ -4,9 +4,14 @@
  * Lemlist MCP Proxy for Railway Hosted Server
  * 
  * This proxy connects Claude Desktop to a Railway-hosted Lemlist MCP server.
- * It forwards MCP requests to the remote server and returns responses.
+ * It relays every JSON-RPC message between stdio and the server's Streamable HTTP
+ * /mcp endpoint, and always answers each request id with a result or an error.
  */
 
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import fetch from 'node-fetch';
 
 // Configuration from environment variables
@@ -21,17 +26,57 @@ if (!SERVER_URL) {
   process.exit(1);
 }
 
-if (!LEMLIST_API_KEY) {
+// A per-user token (MCP_API_KEY) lets the server look up the Lemlist key itself
+if (!LEMLIST_API_KEY && !API_KEY) {
   console.error(JSON.stringify({
-    error: 'LEMLIST_API_KEY environment variable is required'
+    error: 'LEMLIST_API_KEY (or a per-user MCP_API_KEY token) environment variable is required'
   }));
   process.exit(1);
 }
 
+const REQUEST_TIMEOUT_MS = parseInt(process.env.PROXY_TIMEOUT_MS || '60000', 10);
+const CONNECT_MAX_ATTEMPTS = parseInt(process.env.PROXY_CONNECT_ATTEMPTS || '6', 10);
+const CONNECT_BASE_DELAY_MS = parseInt(process.env.PROXY_RETRY_BASE_DELAY_MS || '1000', 10);
+const CONNECT_MAX_DELAY_MS = 30000;
+
+// Read-only tools answered from the local cache when the server is unreachable
+const CACHEABLE_TOOLS = ['get_campaigns', 'get_templates'];
+// Handshake results are cached too, so Claude Desktop can start while offline
+const CACHEABLE_METHODS = ['initialize', 'tools/list'];
+
+// One cache file per server and credentials, so accounts never see each other's data
+const CACHE_FILE = path.join(
+  process.env.PROXY_CACHE_DIR || path.join(os.homedir(), '.lemlist-mcp'),
+  `proxy-cache-${crypto.createHash('sha256').update(`${SERVER_URL}|${API_KEY || ''}|${LEMLIST_API_KEY || ''}`).digest('hex').substring(0, 12)}.json`
+);
+
+// Network errors where the request never reached the server, so resending any message is safe
+const RECONNECTABLE_ERRORS = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+// Failures after the request may have reached the app (a reset mid-request, gateway answers while
+// Railway sleeps or redeploys): only read-only messages are resent, a write could run twice
+const READ_ONLY_RETRY_ERRORS = ['ECONNRESET', 'EPIPE'];
+const COLD_START_STATUSES = [502, 503, 504];
+
+// Streamable HTTP session state, set by the initialize exchange
+let sessionId = null;
+let protocolVersion = null;
+let notificationStream = null;
+let initializeRequest = null;
+
+// Connection state shared by every request
+let online = false;
+let connecting = null;
+let reinitializing = null;
+let shuttingDown = false;
+
+// Tools the server annotates with readOnlyHint (from tools/list), safe to resend
+let readOnlyTools = new Set();
+
 let buffer = '';
+const inFlight = new Set();
 
 // Handle incoming MCP requests from Claude Desktop
-process.stdin.on('data', async (data) => {
+process.stdin.on('data', (data) => {
   try {
     buffer += data.toString();
     const lines = buffer.split('\n');
@@ -43,14 +88,23 @@ process.stdin.on('data', async (data) => {
     for (const line of lines) {
       if (line.trim() === '') continue;
       
+      let message;
       try {
-        const request = JSON.parse(line);
-        await processRequest(request);
+        message = JSON.parse(line);
       } catch (parseError) {
-        console.error(JSON.stringify({
-          error: `Parse Error: ${parseError.message}`,
-          line: line
-        }));
+        send({
+          jsonrpc: '2.0',
+          id: null,
+          error: { code: -32700, message: `Parse error: ${parseError.message}` }
+        });
+        continue;
+      }
+
+      // Requests run concurrently so a slow tool call never blocks the next message
+      for (const entry of Array.isArray(message) ? message : [message]) {
+        const pending = processRequest(entry);
+        inFlight.add(pending);
+        pending.finally(() => inFlight.delete(pending));
       }
     }
   } catch (error) {
@@ -61,132 +115,430 @@ process.stdin.on('data', async (data) => {
   }
 });
 
-async function processRequest(request) {
+function send(message) {
+  process.stdout.write(JSON.stringify(message) + '\n');
+}
+
+function sendError(id, code, message, data) {
+  send({
+    jsonrpc: '2.0',
+    id,
+    error: { code, message, ...(data !== undefined ? { data } : {}) }
+  });
+}
+
+function serverHeaders() {
+  return {
+    'Content-Type': 'application/json',
+    'Accept': 'application/json, text/event-stream',
+    ...(API_KEY ? { 'Authorization': `Bearer ${API_KEY}` } : {}),
+    ...(LEMLIST_API_KEY ? { 'X-Lemlist-API-Key': LEMLIST_API_KEY } : {}), // Pass user's Lemlist API key
+    ...(sessionId ? { 'Mcp-Session-Id': sessionId } : {}),
+    ...(protocolVersion ? { 'Mcp-Protocol-Version': protocolVersion } : {})
+  };
+}
+
+async function* readSseMessages(body) {
+  /**
+   * Yield each JSON-RPC message carried in an SSE stream's data: lines
+   */
+  let pending = '';
+  for await (const chunk of body) {
+    pending += chunk.toString();
+    const events = pending.split(/\r?\n\r?\n/);
+    pending = events.pop();
+
+    for (const event of events) {
+      const data = event
+        .split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trimStart())
+        .join('\n');
+      if (data) yield JSON.parse(data);
+    }
+  }
+}
+
+async function readMessages(response) {
+  const contentType = response.headers.get('content-type') || '';
+  return contentType.includes('text/event-stream')
+    ? readSseMessages(response.body)
+    : [await response.json()].flat();
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Connection manager: requests wait here while the server cold-starts
+async function healthCheck() {
   try {
-    // Transform MCP request to server format
-    let serverRequest;
-    if (request.method === 'initialize') {
-      // Handle initialize request directly
-      console.log(JSON.stringify({
-        jsonrpc: '2.0',
-        id: request.id,
-        result: {
-          protocolVersion: '2025-06-18',
-          capabilities: {
-            tools: {}
-          },
-          serverInfo: {
-            name: 'lemlist-mcp-server',
-            version: '1.0.0'
-          }
-        }
-      }));
-      return;
-    } else if (request.method === 'notifications/initialized') {
-      // Ignore initialized notification
-      return;
-    } else if (request.method === 'tools/list') {
-      serverRequest = { method: 'tools/list' };
-    } else if (request.method === 'tools/call') {
-      serverRequest = { method: 'tools/call', params: request.params };
-    } else if (request.method === 'prompts/list') {
-      // Handle prompts/list - return empty list
-      console.log(JSON.stringify({
-        jsonrpc: '2.0',
-        id: request.id,
-        result: { prompts: [] }
-      }));
-      return;
-    } else if (request.method === 'resources/list') {
-      // Handle resources/list - return empty list
-      console.log(JSON.stringify({
-        jsonrpc: '2.0',
-        id: request.id,
-        result: { resources: [] }
-      }));
-      return;
-    } else if (request.method && request.method.startsWith('notifications/')) {
-      // Ignore notifications
-      return;
-    } else {
-      // Unknown method, return error
-      console.log(JSON.stringify({
-        jsonrpc: '2.0',
-        id: request.id,
-        error: { code: -32601, message: `Method not found: ${request.method}` }
-      }));
-      return;
+    const response = await fetch(`${SERVER_URL}/health`, {
+      signal: AbortSignal.timeout(5000)
+    });
+
+    if (response.ok) {
+      return await response.json();
     }
-    
-    // Forward request to Railway-hosted MCP server
-    const response = await fetch(`${SERVER_URL}/mcp`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        ...(API_KEY ? { 'Authorization': `Bearer ${API_KEY}` } : {}),
-        'X-Lemlist-API-Key': LEMLIST_API_KEY // Pass user's Lemlist API key
-      },
-      body: JSON.stringify(serverRequest),
-      timeout: 30000 // 30 second timeout
+    console.error(`⚠️  Server health check failed: ${response.status}`);
+  } catch (error) {
+    console.error(`❌ Cannot connect to server: ${error.message}`);
+  }
+  return null;
+}
+
+let lastConnectFailure = 0;
+
+function abortable(promise, signal) {
+  /**
+   * Settle with the promise, or reject as soon as the caller's signal aborts
+   * Shared work (a reconnect other requests wait on) keeps running either way
+   */
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    if (signal.aborted) return onAbort();
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+function ensureConnected() {
+  /**
+   * Resolve true once /health answers, retrying with exponential backoff
+   * Concurrent callers share one attempt, so requests queue behind a cold start
+   * Right after a failed round a single probe is made, so offline answers stay fast
+   */
+  if (online) return Promise.resolve(true);
+  if (!connecting) {
+    const recentlyFailed = Date.now() - lastConnectFailure < CONNECT_MAX_DELAY_MS;
+    connecting = connect(recentlyFailed ? 1 : CONNECT_MAX_ATTEMPTS).finally(() => {
+      connecting = null;
+    });
+  }
+  return connecting;
+}
+
+async function connect(maxAttempts) {
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const health = await healthCheck();
+    if (health) {
+      console.error(`✅ Connected to Lemlist MCP Server: ${health.service} v${health.version}`);
+      online = true;
+      return true;
+    }
+
+    if (attempt < maxAttempts) {
+      const delay = Math.min(CONNECT_BASE_DELAY_MS * 2 ** (attempt - 1), CONNECT_MAX_DELAY_MS);
+      console.error(`⏳ Server not ready, retrying in ${delay}ms (attempt ${attempt + 1}/${maxAttempts})`);
+      await sleep(delay);
+    }
+  }
+
+  lastConnectFailure = Date.now();
+  console.error(`📴 Server unreachable, answering ${CACHEABLE_TOOLS.join(', ')} from the offline cache`);
+  return false;
+}
+
+function unreachableError() {
+  const error = new Error(`Lemlist MCP server unreachable at ${SERVER_URL}`);
+  error.offline = true;
+  return error;
+}
+
+function isReadOnly(message) {
+  // Tool calls are read-only only when tools/list said so; every other method reads or is idempotent
+  return message.method !== 'tools/call' || readOnlyTools.has(message.params?.name);
+}
+
+function rememberReadOnlyTools(tools = []) {
+  readOnlyTools = new Set(tools.filter(tool => tool.annotations?.readOnlyHint).map(tool => tool.name));
+}
+
+async function post(message, signal) {
+  /**
+   * POST one message to /mcp through cold starts and server restarts
+   * Failures where the request never reached the app are resent; failures after it may have
+   * (resets, 502/503/504 from the gateway) only for read-only messages
+   * Waiting for a reconnect or a new session stops when the caller's signal aborts
+   */
+  const resendable = isReadOnly(message);
+
+  for (let attempt = 1; attempt <= CONNECT_MAX_ATTEMPTS; attempt++) {
+    if (!(await abortable(ensureConnected(), signal))) throw unreachableError();
+
+    // Session lost (restart) or never opened (initialize was answered from cache)
+    if (message.method !== 'initialize' && initializeRequest && !sessionId) {
+      await abortable(reinitialize(), signal);
+    }
+
+    const sentSessionId = sessionId;
+    let response;
+    try {
+      response = await fetch(`${SERVER_URL}/mcp`, {
+        method: 'POST',
+        headers: serverHeaders(),
+        body: JSON.stringify(message),
+        signal
+      });
+    } catch (error) {
+      const retryable = RECONNECTABLE_ERRORS.includes(error.code) ||
+        (resendable && READ_ONLY_RETRY_ERRORS.includes(error.code));
+      if (!retryable) throw error;
+      online = false;
+      continue;
+    }
+
+    if (COLD_START_STATUSES.includes(response.status)) {
+      online = false;
+      // A write is reported, not resent: the app may have processed it before the gateway gave up
+      if (!resendable) return response;
+      continue;
+    }
+
+    if (response.status === 404 && sentSessionId && message.method !== 'initialize') {
+      console.error('🔄 Server no longer knows this session, re-initializing');
+      if (sessionId === sentSessionId) sessionId = null;
+      continue;
+    }
+
+    if (response.headers.get('mcp-session-id')) {
+      sessionId = response.headers.get('mcp-session-id');
+    }
+    return response;
+  }
+
+  throw unreachableError();
+}
+
+function reinitialize() {
+  /**
+   * Replay Claude Desktop's initialize handshake to open a fresh server session
+   * The replayed result is not relayed: the client already has one
+   */
+  if (!reinitializing) {
+    reinitializing = (async () => {
+      notificationStream?.abort();
+      protocolVersion = null;
+
+      const replay = { ...initializeRequest, id: `proxy-reinitialize-${Date.now()}` };
+      const response = await post(replay, AbortSignal.timeout(REQUEST_TIMEOUT_MS));
+      if (!response.ok) {
+        throw new Error(`Re-initialize failed: ${response.status} ${response.statusText}`);
+      }
+
+      for await (const message of await readMessages(response)) {
+        if (message.id === replay.id && message.result) {
+          protocolVersion = message.result.protocolVersion;
+        }
+      }
+
+      await post({ jsonrpc: '2.0', method: 'notifications/initialized' }, AbortSignal.timeout(REQUEST_TIMEOUT_MS));
+      openNotificationStream();
+    })().finally(() => {
+      reinitializing = null;
     });
+  }
+  return reinitializing;
+}
+
+// Offline cache for read-only tools and the handshake
+function cacheKey(request) {
+  if (CACHEABLE_METHODS.includes(request.method)) return request.method;
+  if (request.method === 'tools/call' && CACHEABLE_TOOLS.includes(request.params?.name)) {
+    return `tools/call:${request.params.name}:${JSON.stringify(request.params.arguments || {})}`;
+  }
+  return null;
+}
+
+function readCache() {
+  try {
+    return JSON.parse(fs.readFileSync(CACHE_FILE, 'utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+function saveToCache(request, result) {
+  const key = cacheKey(request);
+  if (!key || result.isError) return;
+
+  try {
+    const cache = readCache();
+    cache[key] = { result, cachedAt: new Date().toISOString() };
+    // Holds campaign data and templates: readable by the current user only
+    fs.mkdirSync(path.dirname(CACHE_FILE), { recursive: true });
+    fs.writeFileSync(`${CACHE_FILE}.tmp`, JSON.stringify(cache), { mode: 0o600 });
+    fs.renameSync(`${CACHE_FILE}.tmp`, CACHE_FILE);
+  } catch (error) {
+    console.error(JSON.stringify({ error: `Cache Write Error: ${error.message}` }));
+  }
+}
+
+function cachedResult(request) {
+  const key = cacheKey(request);
+  const entry = key && readCache()[key];
+  if (!entry) return null;
+
+  const _meta = { ...entry.result._meta, stale: true, cachedAt: entry.cachedAt };
+  if (request.method !== 'tools/call') {
+    return { ...entry.result, _meta };
+  }
+
+  return {
+    ...entry.result,
+    content: [
+      { type: 'text', text: `⚠️ Lemlist MCP server unreachable - showing cached data from ${entry.cachedAt}, it may be stale.` },
+      ...(entry.result.content || [])
+    ],
+    _meta
+  };
+}
+
+async function processRequest(request) {
+  const isRequest = request.id !== undefined && request.method !== undefined;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  let answered = false;
+
+  if (request.method === 'initialize') {
+    initializeRequest = request;
+  }
+
+  try {
+    // Forward every JSON-RPC message (requests, notifications, responses) to the server
+    const response = await post(request, controller.signal);
 
     if (!response.ok) {
       const errorText = await response.text();
-      console.log(JSON.stringify({
-        jsonrpc: '2.0',
-        id: request.id,
-        error: { 
-          code: -32603, 
-          message: `Server error: ${response.status} ${response.statusText}`,
-          data: errorText
-        }
-      }));
+      if (isRequest) {
+        sendError(request.id, -32603, `Server error: ${response.status} ${response.statusText}`, errorText);
+        answered = true;
+      }
       return;
     }
 
-    const result = await response.json();
-    
-    // Return result in MCP format
-    console.log(JSON.stringify({
-      jsonrpc: '2.0',
-      id: request.id,
-      result: result
-    }));
-    
+    // 202 Accepted: notification or response delivered, nothing to relay
+    if (response.status === 202) return;
+
+    for await (const message of await readMessages(response)) {
+      if (isRequest && message.id === request.id) {
+        answered = true;
+        if (message.result) {
+          if (request.method === 'initialize') {
+            // The server picks the protocol version; later requests must announce it
+            protocolVersion = message.result.protocolVersion;
+          }
+          if (request.method === 'tools/list') {
+            rememberReadOnlyTools(message.result.tools);
+          }
+          saveToCache(request, message.result);
+        }
+      }
+      send(message);
+    }
   } catch (error) {
+    const timedOut = error.name === 'AbortError';
+    const unreachable = error.offline || error.type === 'system';
     console.error(JSON.stringify({
       error: `Process Request Error: ${error.message}`,
-      details: error.stack
+      method: request.method
     }));
+
+    if (isRequest && !answered) {
+      const cached = unreachable && cachedResult(request);
+      if (cached) {
+        send({ jsonrpc: '2.0', id: request.id, result: cached });
+      } else {
+        sendError(
+          request.id,
+          timedOut ? -32001 : -32603,
+          timedOut ? `Request timed out after ${REQUEST_TIMEOUT_MS}ms` : `Proxy error: ${error.message}`
+        );
+      }
+      answered = true;
+    }
+  } finally {
+    clearTimeout(timer);
+    if (isRequest && !answered) {
+      sendError(request.id, -32603, 'Server closed the stream without answering the request');
+    }
+    if (request.method === 'notifications/initialized' || (sessionId && online)) {
+      openNotificationStream();
+    }
   }
 }
 
-// Handle process termination gracefully
-process.on('SIGINT', () => {
-  process.exit(0);
-});
-
-process.on('SIGTERM', () => {
-  process.exit(0);
-});
+async function openNotificationStream() {
+  /**
+   * GET /mcp relays server-initiated messages (resource updates, progress, logs)
+   * A stream that drops is reopened once the server is reachable again
+   */
+  if (notificationStream || !sessionId || shuttingDown) return;
+  const controller = new AbortController();
+  notificationStream = controller;
+  let established = false;
 
-// Health check on startup
-async function healthCheck() {
   try {
-    const response = await fetch(`${SERVER_URL}/health`, {
-      timeout: 5000
+    const response = await fetch(`${SERVER_URL}/mcp`, {
+      method: 'GET',
+      headers: { ...serverHeaders(), 'Accept': 'text/event-stream' },
+      signal: controller.signal
     });
-    
-    if (response.ok) {
-      const health = await response.json();
-      console.error(`✅ Connected to Lemlist MCP Server: ${health.service} v${health.version}`);
-    } else {
-      console.error(`⚠️  Server health check failed: ${response.status}`);
+    if (response.status === 404 && initializeRequest) {
+      // The server restarted without our session: open a new one, which reopens this stream
+      sessionId = null;
+      reinitialize().catch(error => {
+        console.error(JSON.stringify({ error: `Re-initialize Error: ${error.message}` }));
+      });
+      return;
+    }
+    if (!response.ok) return;
+    established = true;
+
+    for await (const message of readSseMessages(response.body)) {
+      send(message);
     }
   } catch (error) {
-    console.error(`❌ Cannot connect to server: ${error.message}`);
+    if (!controller.signal.aborted) {
+      console.error(JSON.stringify({ error: `Notification stream closed: ${error.message}` }));
+    }
+  } finally {
+    if (notificationStream === controller) notificationStream = null;
+  }
+
+  if (established && !controller.signal.aborted && !shuttingDown) {
+    online = false;
+    if (await ensureConnected()) openNotificationStream();
   }
 }
 
-// Run health check on startup
-healthCheck();
\ No newline at end of file
+// Handle process termination gracefully: end the server-side session first
+async function shutdown() {
+  shuttingDown = true;
+  notificationStream?.abort();
+  if (sessionId) {
+    try {
+      await fetch(`${SERVER_URL}/mcp`, {
+        method: 'DELETE',
+        headers: serverHeaders(),
+        signal: AbortSignal.timeout(2000)
+      });
+    } catch (error) {
+      // The session expires on the server anyway
+    }
+  }
+  process.exit(0);
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+// Claude Desktop closed stdin: answer what is still in flight, then leave
+process.stdin.on('end', async () => {
+  await Promise.allSettled([...inFlight]);
+  shutdown();
+});
+
+// Read-only tools known from the last session, until tools/list answers again
+rememberReadOnlyTools(readCache()['tools/list']?.result.tools);
+
+// Connect on startup so a sleeping Railway app starts waking up right away
+ensureConnected();
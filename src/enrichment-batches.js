@@ -0,0 +1,210 @@
+/**
+ * Batch LinkedIn Enrichment
+ * Runs a list of people through a database lookup first and falls back to lead enrichment,
+ * a few rows at a time, in the background: callers get the batch id right away and poll it.
+ * Each batch is saved after every row so an interrupted run can be resumed by id without
+ * redoing the rows that already have an outcome.
+ */
+
+import crypto from 'crypto';
+import { readJsonFile, writeJsonFile } from './storage.js';
+import { accountIdOf } from './enrichment-jobs.js';
+
+export const MAX_BATCH_ROWS = 1000;
+export const MAX_BATCH_CONCURRENCY = 10;
+
+function batchFileName(batchId) {
+  return `enrichment-batch-${batchId}.json`;
+}
+
+export class EnrichmentBatchRunner {
+  constructor(enrichmentJobs, options = {}) {
+    this.enrichmentJobs = enrichmentJobs;
+    this.defaultConcurrency = options.concurrency ?? parseInt(process.env.BATCH_ENRICH_CONCURRENCY || '5', 10);
+    // batch id -> { batch, work } for batches running in this process
+    this.running = new Map();
+  }
+
+  create(client, rows, options = {}) {
+    const batch = {
+      id: crypto.randomUUID(),
+      accountId: accountIdOf(client),
+      campaignId: options.campaignId || null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      rows: rows.map((row, index) => ({
+        index,
+        firstName: row.firstName.trim(),
+        lastName: row.lastName.trim(),
+        companyDomain: row.companyDomain.trim().toLowerCase(),
+        outcome: null
+      }))
+    };
+
+    this.save(batch);
+    return batch;
+  }
+
+  load(client, batchId) {
+    // Batches of another Lemlist account are reported as missing
+    if (!/^[0-9a-f-]{36}$/.test(batchId)) return null;
+    const batch = this.running.get(batchId)?.batch || readJsonFile(batchFileName(batchId), null);
+    return batch && batch.accountId === accountIdOf(client) ? batch : null;
+  }
+
+  start(client, batch, options = {}) {
+    /**
+     * Run the batch in the background; false when it is already running or has nothing left to do
+     * Progress is read back with report(), from this process or from the saved file
+     */
+    if (this.running.has(batch.id) || this.pendingRows(batch, options.retryFailed).length === 0) {
+      return false;
+    }
+
+    this.run(client, batch, options).catch(error => {
+      console.error(`[Lemlist API] Enrichment batch ${batch.id} stopped:`, error.message);
+    });
+    return true;
+  }
+
+  pendingRows(batch, retryFailed = false) {
+    return batch.rows.filter(row => !row.outcome || (retryFailed && row.outcome.status === 'failed'));
+  }
+
+  async run(client, batch, options = {}) {
+    /**
+     * Process every row without an outcome (plus failed ones with retryFailed)
+     * A batch already running in this process is reported, not started twice
+     */
+    const { concurrency = this.defaultConcurrency, retryFailed = false, onProgress = () => {} } = options;
+
+    if (this.running.has(batch.id)) {
+      return this.report(client, batch);
+    }
+
+    const queue = this.pendingRows(batch, retryFailed);
+    const workers = Math.max(1, Math.min(concurrency, MAX_BATCH_CONCURRENCY, queue.length));
+    let next = 0;
+    let done = 0;
+
+    const worker = async () => {
+      while (next < queue.length) {
+        const row = queue[next++];
+        row.outcome = await this.enrichRow(client, batch, row);
+        batch.updatedAt = new Date().toISOString();
+        this.save(batch);
+
+        done += 1;
+        onProgress(done, queue.length, `${row.firstName} ${row.lastName}: ${row.outcome.status}`);
+      }
+    };
+
+    const work = Promise.all(Array.from({ length: workers }, worker));
+    this.running.set(batch.id, { batch, work });
+    try {
+      await work;
+    } finally {
+      this.running.delete(batch.id);
+    }
+
+    return this.report(client, batch);
+  }
+
+  async enrichRow(client, batch, row) {
+    /**
+     * Database lookup first (no credits, instant), lead enrichment as the fallback
+     */
+    const { firstName, lastName, companyDomain } = row;
+    const processedAt = new Date().toISOString();
+
+    try {
+      const lookup = await client.searchPersonByName(firstName, lastName, companyDomain);
+      if (lookup.success && lookup.found) {
+        return {
+          status: 'found_in_database',
+          linkedinUrl: lookup.linkedinUrl,
+          linkedinShort: lookup.linkedinShort || null,
+          processedAt
+        };
+      }
+
+      const started = await client.searchAndEnrichPerson(firstName, lastName, companyDomain, {
+        campaignId: batch.campaignId
+      });
+      if (!started.success) {
+        return { status: 'failed', error: started.error || 'Enrichment could not be started', processedAt };
+      }
+
+      const job = this.enrichmentJobs.track(client, {
+        leadId: started.leadId,
+        enrichmentId: started.enrichmentId,
+        source: 'batch_enrich_people',
+        metadata: { batchId: batch.id, row: row.index, firstName, lastName, companyDomain },
+        temporaryLead: started.temporaryLead
+      });
+
+      return {
+        status: 'enrichment_started',
+        leadId: started.leadId,
+        jobId: job.id,
+        databaseLookupError: lookup.success ? undefined : lookup.error,
+        processedAt
+      };
+    } catch (error) {
+      return { status: 'failed', error: error.response?.data?.message || error.message, processedAt };
+    }
+  }
+
+  report(client, batch) {
+    /**
+     * Per-row outcome table; rows handed to enrichment show their job's current state
+     */
+    const running = this.running.has(batch.id);
+    const rows = batch.rows.map(({ index, firstName, lastName, companyDomain, outcome }) => {
+      let status = outcome?.status || 'pending';
+      let linkedinUrl = outcome?.linkedinUrl || null;
+
+      if (outcome?.jobId) {
+        const job = this.enrichmentJobs.get(client, outcome.jobId);
+        if (job?.status === 'completed') {
+          status = 'enriched';
+          linkedinUrl = job.linkedinUrl;
+        } else if (job?.status === 'timed_out') {
+          status = 'enrichment_timed_out';
+        }
+      }
+
+      return {
+        index,
+        firstName,
+        lastName,
+        companyDomain,
+        status,
+        linkedinUrl,
+        jobId: outcome?.jobId || null,
+        error: outcome?.error || null
+      };
+    });
+
+    const summary = { total: rows.length };
+    for (const row of rows) {
+      summary[row.status] = (summary[row.status] || 0) + 1;
+    }
+
+    const complete = !running && rows.every(row => row.status !== 'pending');
+    return {
+      success: true,
+      batchId: batch.id,
+      status: running ? 'running' : (complete ? 'completed' : 'incomplete'),
+      summary,
+      rows,
+      ...(running ? { checkProgressWith: { batchId: batch.id } } : {}),
+      ...(complete || running ? {} : { resumeWith: { batchId: batch.id } }),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  save(batch) {
+    writeJsonFile(batchFileName(batch.id), batch);
+  }
+}
@@ -0,0 +1,326 @@
+/**
+ * Enrichment Job Tracker
+ * Follows Lemlist LinkedIn enrichments until lead_linkedin_url shows up, so nobody has to
+ * call get_enriched_lead_data by hand. Jobs are stored per Lemlist account under DATA_DIR
+ * and polling resumes when the account's client is attached again after a restart.
+ * Temporary enrichment leads are deleted once their job completes or times out; failed
+ * deletions are retried on later polling ticks.
+ */
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { readJsonFile, writeJsonFile } from './storage.js';
+
+export const JOB_STATUSES = ['processing', 'completed', 'timed_out'];
+
+// Automatic deletions tried per temporary lead before it is left to cleanup_enrichment_sandbox
+const MAX_CLEANUP_ATTEMPTS = 3;
+
+export function accountIdOf(client) {
+  return crypto.createHash('sha256').update(client.apiKey).digest('hex').slice(0, 16);
+}
+
+function toPublicJob(job) {
+  const { accountId, ...rest } = job;
+  return rest;
+}
+
+export class EnrichmentJobTracker extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.fileName = options.fileName || 'enrichment-jobs.json';
+    this.pollIntervalMs = options.pollIntervalMs ?? parseInt(process.env.ENRICHMENT_POLL_INTERVAL_MS || '15000', 10);
+    this.timeoutMs = options.timeoutMs ?? parseInt(process.env.ENRICHMENT_JOB_TIMEOUT_MS || '600000', 10);
+    this.maxJobs = options.maxJobs ?? parseInt(process.env.ENRICHMENT_JOBS_MAX || '1000', 10);
+    // Kept below the proxy's 60s request timeout so a waiting call always gets its answer
+    this.maxWaitMs = options.maxWaitMs ?? parseInt(process.env.ENRICHMENT_WAIT_MS || '45000', 10);
+    // Lead lookups per polling tick; polling shares the account's rate limit with tool calls
+    this.pollBudget = options.pollBudget ?? parseInt(process.env.ENRICHMENT_POLL_BUDGET || '10', 10);
+    this.autoCleanup = options.autoCleanup ?? process.env.ENRICHMENT_SANDBOX_CLEANUP !== 'false';
+
+    this.jobs = readJsonFile(this.fileName, []);
+    this.clients = new Map();
+    this.timer = null;
+    this.polling = false;
+  }
+
+  attach(client) {
+    /**
+     * Register the client polling uses for its account, and resume that account's pending jobs
+     */
+    const accountId = accountIdOf(client);
+    this.clients.set(accountId, client);
+    if (this.jobs.some(job => job.accountId === accountId && (job.status === 'processing' || this.needsCleanup(job)))) {
+      this.schedule();
+    }
+    return accountId;
+  }
+
+  track(client, { leadId, enrichmentId, source = 'enrich_lead_linkedin', metadata = {}, temporaryLead = false }) {
+    const accountId = this.attach(client);
+    const now = new Date();
+    const job = {
+      id: crypto.randomUUID(),
+      accountId,
+      leadId,
+      enrichmentId: enrichmentId || null,
+      source,
+      metadata,
+      status: 'processing',
+      linkedinUrl: null,
+      linkedinShort: null,
+      temporaryLead,
+      cleanedUpAt: null,
+      cleanupError: null,
+      cleanupAttempts: 0,
+      attempts: 0,
+      lastError: null,
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+      deadline: new Date(now.getTime() + this.timeoutMs).toISOString(),
+      finishedAt: null
+    };
+
+    this.jobs.push(job);
+    this.prune();
+    this.save();
+    this.schedule();
+
+    return toPublicJob(job);
+  }
+
+  get(client, jobId) {
+    const job = this.jobs.find(entry => entry.id === jobId && entry.accountId === accountIdOf(client));
+    return job ? toPublicJob(job) : null;
+  }
+
+  list(client, filters = {}) {
+    /**
+     * The account's jobs, newest first
+     */
+    const { status, limit = 50 } = filters;
+    const accountId = accountIdOf(client);
+    const jobs = this.jobs
+      .filter(job => job.accountId === accountId && (!status || job.status === status))
+      .reverse();
+
+    return {
+      success: true,
+      jobs: jobs.slice(0, limit).map(toPublicJob),
+      total: jobs.length,
+      pending: jobs.filter(job => job.status === 'processing').length,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  waitFor(client, jobId, onProgress = () => {}) {
+    /**
+     * Resolve with the job once it leaves 'processing', reporting each poll as progress
+     * (attempts out of the polls that fit before the deadline)
+     * Gives up after maxWaitMs and resolves with the job still 'processing'; polling carries on
+     */
+    const accountId = accountIdOf(client);
+    const current = this.jobs.find(job => job.id === jobId && job.accountId === accountId);
+    if (!current || current.status !== 'processing') {
+      return Promise.resolve(current ? toPublicJob(current) : null);
+    }
+
+    const totalPolls = Math.max(1, Math.ceil(this.timeoutMs / this.pollIntervalMs));
+    return new Promise(resolve => {
+      const done = (job) => {
+        clearTimeout(timer);
+        this.off('updated', onUpdate);
+        resolve(job);
+      };
+      const onUpdate = (job) => {
+        if (job.id !== jobId) return;
+        onProgress(Math.min(job.attempts, totalPolls), totalPolls, `Enrichment ${job.status} after ${job.attempts} checks`);
+        if (job.status !== 'processing') done(job);
+      };
+      const timer = setTimeout(() => done(toPublicJob(current)), this.maxWaitMs);
+      this.on('updated', onUpdate);
+    });
+  }
+
+  schedule() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.pollPending().catch(error => console.error('[Lemlist API] Enrichment polling failed:', error.message));
+    }, this.pollIntervalMs);
+    // Pending jobs never keep a stdio process alive on their own
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async pollPending() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      const pending = this.jobs.filter(job => job.status === 'processing');
+      const leftovers = this.jobs.filter(job => this.needsCleanup(job));
+      if (pending.length === 0 && leftovers.length === 0) {
+        this.stop();
+        return;
+      }
+
+      // Jobs without a client cost no lookup; the others share the tick's budget, overdue ones
+      // first so each gets its last lookup before timing out, then least recently checked.
+      // A job past the budget waits for a later tick and never times out unchecked
+      const now = Date.now();
+      const overdue = (job) => new Date(job.deadline).getTime() < now;
+      const queue = pending
+        .filter(job => this.clients.has(job.accountId))
+        .sort((a, b) => (overdue(b) - overdue(a)) || a.updatedAt.localeCompare(b.updatedAt));
+
+      for (const job of pending.filter(entry => !this.clients.has(entry.accountId))) {
+        await this.poll(job);
+      }
+      for (const job of queue.slice(0, this.pollBudget)) {
+        await this.poll(job);
+      }
+      // Whatever budget the lookups left goes to retrying failed deletions
+      for (const job of leftovers.slice(0, Math.max(this.pollBudget - queue.length, 0))) {
+        await this.deleteTemporaryLead(job, this.clients.get(job.accountId));
+      }
+      this.save();
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  async poll(job) {
+    /**
+     * One check of a pending job: completes on a LinkedIn URL, times out past its deadline
+     * Jobs whose account has no attached client wait (or time out) until it comes back
+     */
+    const client = this.clients.get(job.accountId);
+
+    if (client) {
+      job.attempts += 1;
+      try {
+        const data = await client.getEnrichedLeadData(job.leadId, { searchCampaigns: false });
+        if (data.success && data.linkedinUrl) {
+          this.finish(job, 'completed', { linkedinUrl: data.linkedinUrl, linkedinShort: data.linkedinShort || null });
+          if (this.autoCleanup) await this.deleteTemporaryLead(job, client);
+          return;
+        }
+        job.lastError = null;
+      } catch (error) {
+        job.lastError = error.response?.data?.message || error.message;
+        console.error(`[Lemlist API] Enrichment poll failed for lead ${job.leadId}:`, job.lastError);
+      }
+    }
+
+    if (this.expireIfOverdue(job)) {
+      if (client && this.autoCleanup) await this.deleteTemporaryLead(job, client);
+      return;
+    }
+
+    job.updatedAt = new Date().toISOString();
+    this.emit('updated', toPublicJob(job));
+  }
+
+  expireIfOverdue(job) {
+    if (Date.now() <= new Date(job.deadline).getTime()) return false;
+    this.finish(job, 'timed_out');
+    return true;
+  }
+
+  finish(job, status, fields = {}) {
+    Object.assign(job, fields, {
+      status,
+      updatedAt: new Date().toISOString(),
+      finishedAt: new Date().toISOString()
+    });
+
+    const publicJob = toPublicJob(job);
+    this.emit('updated', publicJob);
+    this.emit('finished', { ...publicJob, accountId: job.accountId });
+  }
+
+  needsCleanup(job) {
+    return this.autoCleanup && job.status !== 'processing' && job.temporaryLead && !job.cleanedUpAt &&
+      (job.cleanupAttempts || 0) < MAX_CLEANUP_ATTEMPTS && this.clients.has(job.accountId);
+  }
+
+  async deleteTemporaryLead(job, client) {
+    /**
+     * Remove a harvested enrichment lead; the LinkedIn data stays on the job
+     */
+    if (!job.temporaryLead || job.cleanedUpAt) return false;
+
+    try {
+      await client.deleteLead(job.leadId);
+      job.cleanedUpAt = new Date().toISOString();
+      job.cleanupError = null;
+      return true;
+    } catch (error) {
+      // Already gone counts as cleaned up
+      if (error.response?.status === 404) {
+        job.cleanedUpAt = new Date().toISOString();
+        return true;
+      }
+      job.cleanupError = error.response?.data?.message || error.message;
+      job.cleanupAttempts = (job.cleanupAttempts || 0) + 1;
+      console.error(`[Lemlist API] Could not delete enrichment lead ${job.leadId}:`, job.cleanupError);
+      return false;
+    }
+  }
+
+  async cleanup(client, { includeTimedOut = true } = {}) {
+    /**
+     * Delete the account's temporary leads that are done: harvested ones and, unless
+     * includeTimedOut is false, those whose enrichment never produced a LinkedIn URL
+     * Retries leads whose automatic deletion gave up
+     */
+    const accountId = accountIdOf(client);
+    const statuses = includeTimedOut ? ['completed', 'timed_out'] : ['completed'];
+    const candidates = this.jobs.filter(job =>
+      job.accountId === accountId && job.temporaryLead && !job.cleanedUpAt && statuses.includes(job.status)
+    );
+
+    const failed = [];
+    let deleted = 0;
+    for (const job of candidates) {
+      if (await this.deleteTemporaryLead(job, client)) {
+        deleted += 1;
+      } else {
+        failed.push({ jobId: job.id, leadId: job.leadId, error: job.cleanupError });
+      }
+    }
+    this.save();
+
+    return {
+      success: failed.length === 0,
+      deleted,
+      failed,
+      stillEnriching: this.jobs.filter(job =>
+        job.accountId === accountId && job.temporaryLead && job.status === 'processing'
+      ).length,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  prune() {
+    // Drop the oldest finished jobs first; pending ones are kept until they finish
+    let excess = this.jobs.length - this.maxJobs;
+    if (excess <= 0) return;
+
+    this.jobs = this.jobs.filter(job => {
+      if (excess > 0 && job.status !== 'processing') {
+        excess -= 1;
+        return false;
+      }
+      return true;
+    });
+  }
+
+  save() {
+    writeJsonFile(this.fileName, this.jobs);
+  }
+}
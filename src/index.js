@@ -7,977 +7,264 @@
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  isInitializeRequest
+} from '@modelcontextprotocol/sdk/types.js';
 import express from 'express';
 import dotenv from 'dotenv';
+import crypto from 'crypto';
 import { LemlistClient } from './lemlist-client.js';
+import { WebhookEventLog, isValidReceiverToken, webhookReceiverToken } from './webhook-event-log.js';
+import { TenantRegistry } from './tenant-registry.js';
+import { EnrichmentJobTracker, accountIdOf } from './enrichment-jobs.js';
+import { EnrichmentBatchRunner } from './enrichment-batches.js';
+import { RESOURCE_TOOLS, listResources, listResourceTemplates, readResource, parseResourceUri, campaignResourceUris } from './resources.js';
+import { listPrompts, getPrompt } from './prompts.js';
+import { TOOLS, getTool, checkToolRegistry, toToolDefinition, validateToolArguments } from './tools/index.js';
 
 dotenv.config();
 
 class LemlistMCPServer {
   constructor() {
-    this.server = new Server({
+    // Refuse to start with a tool that would fail on every call
+    const registryProblems = checkToolRegistry(TOOLS, LemlistClient.prototype);
+    if (registryProblems.length > 0) {
+      throw new Error(`Tool registry self-check failed:\n- ${registryProblems.join('\n- ')}`);
+    }
+
+    // Server for stdio mode - HTTP sessions each get their own (see setupMcpRoutes)
+    this.server = this.createMcpServer();
+    this.sessions = new Map();
+
+    // Default client for stdio mode - HTTP requests get their own client per API key
+    this.lemlistClient = new LemlistClient({
+      apiKey: process.env.LEMLIST_API_KEY || 'placeholder',
+    });
+    this.clientCache = new Map();
+    this.tenantRegistry = new TenantRegistry();
+
+    // Events pushed by Lemlist to POST /webhooks/lemlist/:accountId/:token (HTTP mode), one log per account
+    this.eventLogs = new Map();
+
+    // Pending LinkedIn enrichments, polled until the URL shows up
+    this.enrichmentJobs = new EnrichmentJobTracker();
+    this.enrichmentJobs.on('finished', (job) => this.notifyEnrichmentJobFinished(job));
+    if (process.env.LEMLIST_API_KEY) {
+      this.enrichmentJobs.attach(this.lemlistClient);
+    }
+    this.enrichmentBatches = new EnrichmentBatchRunner(this.enrichmentJobs);
+
+    this.setupErrorHandling();
+  }
+
+  createMcpServer(context = {}) {
+    const server = new Server({
       name: 'lemlist-mcp-server',
       version: '1.0.0',
     }, {
       capabilities: {
         tools: {},
+        resources: { subscribe: true, listChanged: true },
+        prompts: {},
+        logging: {},
       },
     });
 
-    // Initialize with placeholder client - will be replaced per request in HTTP mode
-    this.lemlistClient = new LemlistClient({
-      apiKey: process.env.LEMLIST_API_KEY || 'placeholder',
-    });
+    this.setupToolHandlers(server, context);
+    this.setupResourceHandlers(server, context);
+    this.setupPromptHandlers(server, context);
+    server.onerror = (error) => {
+      console.error('[MCP Server Error]', {
+        message: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      });
+    };
 
-    this.setupToolHandlers();
-    this.setupErrorHandling();
+    return server;
   }
 
-  async getToolsList() {
-    return {
-      tools: [
-          // === CAMPAIGN MANAGEMENT ===
-          {
-            name: 'get_campaigns',
-            description: 'Retrieve all campaigns from Lemlist',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                limit: {
-                  type: 'number',
-                  description: 'Limit number of campaigns returned',
-                  default: 100
-                },
-                offset: {
-                  type: 'number', 
-                  description: 'Offset for pagination',
-                  default: 0
-                }
-              }
-            }
-          },
-          {
-            name: 'get_campaign',
-            description: 'Get details of a specific campaign',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                campaignId: {
-                  type: 'string',
-                  description: 'Campaign ID',
-                  required: true
-                }
-              },
-              required: ['campaignId']
-            }
-          },
-          {
-            name: 'create_campaign',
-            description: 'Create a new email campaign',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                name: {
-                  type: 'string',
-                  description: 'Campaign name',
-                  required: true
-                },
-                emails: {
-                  type: 'array',
-                  description: 'Array of email templates',
-                  items: {
-                    type: 'object',
-                    properties: {
-                      subject: { type: 'string' },
-                      body: { type: 'string' },
-                      delay: { type: 'number' }
-                    }
-                  }
-                },
-                settings: {
-                  type: 'object',
-                  description: 'Campaign settings',
-                  properties: {
-                    trackOpens: { type: 'boolean', default: true },
-                    trackClicks: { type: 'boolean', default: true }
-                  }
-                }
-              },
-              required: ['name']
-            }
-          },
-          {
-            name: 'update_campaign',
-            description: 'Update an existing campaign',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                campaignId: {
-                  type: 'string',
-                  description: 'Campaign ID',
-                  required: true
-                },
-                name: { type: 'string' },
-                emails: { type: 'array' },
-                settings: { type: 'object' }
-              },
-              required: ['campaignId']
-            }
-          },
-          {
-            name: 'delete_campaign',
-            description: 'Delete a campaign',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                campaignId: {
-                  type: 'string',
-                  description: 'Campaign ID',
-                  required: true
-                }
-              },
-              required: ['campaignId']
-            }
-          },
-
-          // === LEAD MANAGEMENT ===
-          {
-            name: 'get_leads',
-            description: 'Retrieve all leads',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                campaignId: {
-                  type: 'string',
-                  description: 'Filter by campaign ID'
-                },
-                limit: {
-                  type: 'number',
-                  default: 100
-                },
-                offset: {
-                  type: 'number',
-                  default: 0
-                }
-              }
-            }
-          },
-          {
-            name: 'add_lead',
-            description: 'Add a lead to a campaign',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                campaignId: {
-                  type: 'string',
-                  description: 'Campaign ID',
-                  required: true
-                },
-                email: {
-                  type: 'string',
-                  description: 'Lead email address',
-                  required: true
-                },
-                firstName: { type: 'string' },
-                lastName: { type: 'string' },
-                companyName: { type: 'string' },
-                customFields: { type: 'object' }
-              },
-              required: ['campaignId', 'email']
-            }
-          },
-          {
-            name: 'bulk_add_leads',
-            description: 'Add multiple leads to a campaign',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                campaignId: {
-                  type: 'string',
-                  description: 'Campaign ID',
-                  required: true
-                },
-                leads: {
-                  type: 'array',
-                  description: 'Array of leads',
-                  items: {
-                    type: 'object',
-                    properties: {
-                      email: { type: 'string', required: true },
-                      firstName: { type: 'string' },
-                      lastName: { type: 'string' },
-                      companyName: { type: 'string' },
-                      customFields: { type: 'object' }
-                    }
-                  }
-                }
-              },
-              required: ['campaignId', 'leads']
-            }
-          },
-          {
-            name: 'update_lead',
-            description: 'Update lead information',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                leadId: {
-                  type: 'string',
-                  description: 'Lead ID',
-                  required: true
-                },
-                firstName: { type: 'string' },
-                lastName: { type: 'string' },
-                companyName: { type: 'string' },
-                customFields: { type: 'object' }
-              },
-              required: ['leadId']
-            }
-          },
-          {
-            name: 'delete_lead',
-            description: 'Remove a lead from campaign',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                leadId: {
-                  type: 'string',
-                  description: 'Lead ID',
-                  required: true
-                }
-              },
-              required: ['leadId']
-            }
-          },
-
-          // === ACTIVITY & ANALYTICS ===
-          {
-            name: 'get_activities',
-            description: 'Get campaign activities and statistics',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                campaignId: {
-                  type: 'string',
-                  description: 'Campaign ID'
-                },
-                leadId: {
-                  type: 'string',
-                  description: 'Lead ID'
-                },
-                type: {
-                  type: 'string',
-                  enum: ['emailsSent', 'emailsOpened', 'emailsClicked', 'emailsReplied', 'emailsBounced'],
-                  description: 'Activity type filter'
-                },
-                limit: {
-                  type: 'number',
-                  default: 100
-                }
-              }
-            }
-          },
-          {
-            name: 'get_campaign_stats',
-            description: 'Get detailed campaign statistics',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                campaignId: {
-                  type: 'string',
-                  description: 'Campaign ID',
-                  required: true
-                }
-              },
-              required: ['campaignId']
-            }
-          },
-
-          // === TEAM & ACCOUNT MANAGEMENT ===
-          {
-            name: 'get_team_members',
-            description: 'Get all team members',
-            inputSchema: {
-              type: 'object',
-              properties: {}
-            }
-          },
-          {
-            name: 'get_account_info',
-            description: 'Get account information and limits',
-            inputSchema: {
-              type: 'object',
-              properties: {}
-            }
-          },
-
-          // === TEMPLATES ===
-          {
-            name: 'get_templates',
-            description: 'Get all email templates',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                limit: {
-                  type: 'number',
-                  default: 100
-                }
-              }
-            }
-          },
-          {
-            name: 'create_template',
-            description: 'Create a new email template',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                name: {
-                  type: 'string',
-                  description: 'Template name',
-                  required: true
-                },
-                subject: {
-                  type: 'string',
-                  description: 'Email subject template',
-                  required: true
-                },
-                body: {
-                  type: 'string',
-                  description: 'Email body template',
-                  required: true
-                },
-                variables: {
-                  type: 'array',
-                  description: 'Available template variables'
-                }
-              },
-              required: ['name', 'subject', 'body']
-            }
-          },
-
-          // === HIGH-LEVEL WORKFLOW TOOLS ===
-          {
-            name: 'create_complete_campaign',
-            description: 'Create a complete campaign with leads in one operation',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                campaignName: {
-                  type: 'string',
-                  required: true
-                },
-                emailSequence: {
-                  type: 'array',
-                  description: 'Array of emails in sequence',
-                  items: {
-                    type: 'object',
-                    properties: {
-                      subject: { type: 'string' },
-                      body: { type: 'string' },
-                      delay: { type: 'number' }
-                    }
-                  }
-                },
-                leads: {
-                  type: 'array',
-                  description: 'Initial leads to add'
-                },
-                settings: { type: 'object' }
-              },
-              required: ['campaignName', 'emailSequence']
-            }
-          },
-
-          // === UNSUBSCRIBE MANAGEMENT ===
-          {
-            name: 'get_unsubscribes',
-            description: 'Get all unsubscribed leads',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                limit: { type: 'number', default: 100 },
-                offset: { type: 'number', default: 0 }
-              }
-            }
-          },
-          {
-            name: 'add_to_unsubscribes',
-            description: 'Add email to unsubscribed list',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                email: {
-                  type: 'string',
-                  description: 'Email address to unsubscribe',
-                  required: true
-                }
-              },
-              required: ['email']
-            }
-          },
-          {
-            name: 'remove_from_unsubscribes',
-            description: 'Remove email from unsubscribed list',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                email: {
-                  type: 'string',
-                  description: 'Email address to resubscribe',
-                  required: true
-                }
-              },
-              required: ['email']
-            }
-          },
-          {
-            name: 'unsubscribe_from_campaign',
-            description: 'Unsubscribe lead from specific campaign',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                campaignId: {
-                  type: 'string',
-                  description: 'Campaign ID',
-                  required: true
-                },
-                leadId: {
-                  type: 'string',
-                  description: 'Lead ID',
-                  required: true
-                }
-              },
-              required: ['campaignId', 'leadId']
-            }
-          },
-
-          // === ADVANCED ACTIVITIES ===
-          {
-            name: 'get_activities_with_filters',
-            description: 'Get activities with advanced filtering options',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                campaignId: { type: 'string' },
-                leadId: { type: 'string' },
-                type: { type: 'string' },
-                dateFrom: { type: 'string', description: 'Start date (ISO format)' },
-                dateTo: { type: 'string', description: 'End date (ISO format)' },
-                limit: { type: 'number', default: 100 },
-                offset: { type: 'number', default: 0 },
-                grouped: { type: 'boolean', default: false }
-              }
-            }
-          },
-          {
-            name: 'get_activity_types',
-            description: 'Get all available activity types',
-            inputSchema: {
-              type: 'object',
-              properties: {}
-            }
-          },
-          {
-            name: 'get_grouped_activities',
-            description: 'Get campaign activities grouped by type',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                campaignId: {
-                  type: 'string',
-                  description: 'Campaign ID',
-                  required: true
-                },
-                groupBy: {
-                  type: 'string',
-                  enum: ['type', 'date', 'lead'],
-                  default: 'type'
-                }
-              },
-              required: ['campaignId']
-            }
-          },
-
-          // === WEBHOOKS ===
-          {
-            name: 'create_webhook',
-            description: 'Create a webhook for real-time events',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                url: {
-                  type: 'string',
-                  description: 'Webhook URL',
-                  required: true
-                },
-                events: {
-                  type: 'array',
-                  description: 'Events to subscribe to',
-                  items: {
-                    type: 'string',
-                    enum: ['lead.added', 'email.sent', 'email.opened', 'email.clicked', 'email.replied', 'lead.unsubscribed']
-                  }
-                },
-                active: { type: 'boolean', default: true }
-              },
-              required: ['url', 'events']
-            }
-          },
-          {
-            name: 'get_webhooks',
-            description: 'Get all configured webhooks',
-            inputSchema: {
-              type: 'object',
-              properties: {}
-            }
-          },
-          {
-            name: 'update_webhook',
-            description: 'Update an existing webhook',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                webhookId: {
-                  type: 'string',
-                  description: 'Webhook ID',
-                  required: true
-                },
-                url: { type: 'string' },
-                events: { type: 'array' },
-                active: { type: 'boolean' }
-              },
-              required: ['webhookId']
-            }
-          },
-          {
-            name: 'delete_webhook',
-            description: 'Delete a webhook',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                webhookId: {
-                  type: 'string',
-                  description: 'Webhook ID',
-                  required: true
-                }
-              },
-              required: ['webhookId']
-            }
-          },
-
-          // === ADVANCED SEARCH ===
-          {
-            name: 'search_leads_advanced',
-            description: 'Advanced lead search with multiple filters',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                email: { type: 'string' },
-                firstName: { type: 'string' },
-                lastName: { type: 'string' },
-                companyName: { type: 'string' },
-                campaignId: { type: 'string' },
-                status: { type: 'string' },
-                dateFrom: { type: 'string' },
-                dateTo: { type: 'string' },
-                customFields: { type: 'object' },
-                limit: { type: 'number', default: 100 },
-                offset: { type: 'number', default: 0 }
-              }
-            }
-          },
-          {
-            name: 'search_campaigns',
-            description: 'Search campaigns by name, status, and date',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                name: { type: 'string' },
-                status: { type: 'string' },
-                dateFrom: { type: 'string' },
-                dateTo: { type: 'string' },
-                limit: { type: 'number', default: 100 },
-                offset: { type: 'number', default: 0 }
-              }
-            }
-          },
-
-          // === ENHANCED ANALYTICS ===
-          {
-            name: 'get_detailed_campaign_stats',
-            description: 'Get detailed campaign statistics with date range',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                campaignId: {
-                  type: 'string',
-                  description: 'Campaign ID',
-                  required: true
-                },
-                dateFrom: { type: 'string' },
-                dateTo: { type: 'string' },
-                includeLeadStats: { type: 'boolean', default: true },
-                includeEmailStats: { type: 'boolean', default: true },
-                includeLinkedInStats: { type: 'boolean', default: false }
-              },
-              required: ['campaignId']
-            }
-          },
-          {
-            name: 'get_multi_campaign_stats',
-            description: 'Get statistics for multiple campaigns',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                campaignIds: {
-                  type: 'array',
-                  description: 'Array of campaign IDs',
-                  items: { type: 'string' }
-                },
-                dateFrom: { type: 'string' },
-                dateTo: { type: 'string' }
-              },
-              required: ['campaignIds']
-            }
-          },
-
-          // === LINKEDIN ENRICHMENT ===
-          {
-            name: 'search_database_for_linkedin',
-            description: 'Search Lemlist database directly for LinkedIn URLs (faster than enrichment)',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                filters: {
-                  type: 'array',
-                  description: 'Array of filter objects with filterId, in, and out properties',
-                  items: {
-                    type: 'object',
-                    properties: {
-                      filterId: { type: 'string', description: 'Filter field (country, industry, etc.)' },
-                      in: { type: 'array', description: 'Values to include' },
-                      out: { type: 'array', description: 'Values to exclude' }
-                    }
-                  },
-                  default: []
-                },
-                page: {
-                  type: 'number',
-                  description: 'Page number for results',
-                  default: 1
-                }
-              }
-            }
-          },
-          {
-            name: 'search_and_enrich_person',
-            description: 'Search for a person and get their real LinkedIn URL via Lemlist enrichment',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                firstName: {
-                  type: 'string',
-                  description: 'First name of the person',
-                  required: true
-                },
-                lastName: {
-                  type: 'string',
-                  description: 'Last name of the person',
-                  required: true
-                },
-                companyDomain: {
-                  type: 'string',
-                  description: 'Company domain (e.g., hyro.ai)',
-                  required: true
-                }
-              },
-              required: ['firstName', 'lastName', 'companyDomain']
-            }
-          },
-          {
-            name: 'enrich_lead_linkedin',
-            description: 'Enrich an existing lead with real LinkedIn URL',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                leadId: {
-                  type: 'string',
-                  description: 'Lead ID to enrich',
-                  required: true
-                }
-              },
-              required: ['leadId']
-            }
-          },
-          {
-            name: 'get_enriched_lead_data',
-            description: 'Get the enriched lead data including real LinkedIn URL',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                leadId: {
-                  type: 'string',
-                  description: 'Lead ID to check for enrichment data',
-                  required: true
-                }
-              },
-              required: ['leadId']
-            }
-          },
-
-          // === IMPORT/EXPORT ===
-          {
-            name: 'export_leads',
-            description: 'Export leads from a campaign',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                campaignId: {
-                  type: 'string',
-                  description: 'Campaign ID',
-                  required: true
-                },
-                format: {
-                  type: 'string',
-                  enum: ['csv', 'json'],
-                  default: 'csv'
-                }
-              },
-              required: ['campaignId']
-            }
-          },
-          {
-            name: 'validate_lead_data',
-            description: 'Validate lead data before import',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                leads: {
-                  type: 'array',
-                  description: 'Array of leads to validate',
-                  items: {
-                    type: 'object',
-                    properties: {
-                      email: { type: 'string' },
-                      firstName: { type: 'string' },
-                      lastName: { type: 'string' },
-                      companyName: { type: 'string' }
-                    }
-                  }
-                }
-              },
-              required: ['leads']
-            }
-          },
-
-          // === RATE LIMITING ===
-          {
-            name: 'get_rate_limit_status',
-            description: 'Get current API rate limit status',
-            inputSchema: {
-              type: 'object',
-              properties: {}
-            }
-          },
-
-          // === UTILITY TOOLS ===
-          {
-            name: 'health_check',
-            description: 'Check Lemlist API connection and server health',
-            inputSchema: {
-              type: 'object',
-              properties: {}
-            }
-          }
-        ]
+  getClientForApiKey(apiKey) {
+    /**
+     * One LemlistClient per API key, cached by key hash so its rate limiter
+     * and suppression list survive between requests
+     */
+    const keyHash = crypto.createHash('sha256').update(apiKey).digest('hex');
+    let client = this.clientCache.get(keyHash);
+
+    if (client) {
+      // Re-insert to keep the Map ordered by last use
+      this.clientCache.delete(keyHash);
+    } else {
+      client = new LemlistClient({ apiKey });
+      this.enrichmentJobs.attach(client);
+    }
+    this.clientCache.set(keyHash, client);
+
+    const maxClients = parseInt(process.env.CLIENT_CACHE_SIZE || '100', 10);
+    if (this.clientCache.size > maxClients) {
+      this.clientCache.delete(this.clientCache.keys().next().value);
+    }
+
+    return client;
+  }
+
+  getEventLog(accountId) {
+    /**
+     * The webhook event log of one Lemlist account, cached like clients
+     */
+    let eventLog = this.eventLogs.get(accountId);
+    if (eventLog) {
+      this.eventLogs.delete(accountId);
+    } else {
+      eventLog = new WebhookEventLog(accountId);
+    }
+    this.eventLogs.set(accountId, eventLog);
+
+    const maxLogs = parseInt(process.env.CLIENT_CACHE_SIZE || '100', 10);
+    if (this.eventLogs.size > maxLogs) {
+      this.eventLogs.delete(this.eventLogs.keys().next().value);
+    }
+
+    return eventLog;
+  }
+
+  getWebhookReceiverUrl(lemlistClient) {
+    /**
+     * Where this account's Lemlist webhooks should point; null while the receiver is disabled
+     */
+    const secret = process.env.WEBHOOK_SECRET;
+    if (!secret) return null;
+
+    const accountId = accountIdOf(lemlistClient);
+    const path = `/webhooks/lemlist/${accountId}/${webhookReceiverToken(accountId, secret)}`;
+    return `${(process.env.PUBLIC_URL || '').replace(/\/$/, '')}${path}`;
+  }
+
+  authenticateRequest(req) {
+    /**
+     * Resolve the Lemlist API key for an /mcp request
+     * Tenant bearer tokens win; the shared MCP_API_KEY + X-Lemlist-API-Key header
+     * is still accepted unless TENANT_AUTH_REQUIRED=true
+     */
+    const bearer = req.headers.authorization?.replace('Bearer ', '');
+    const tenant = this.tenantRegistry.authenticate(bearer);
+    if (tenant) {
+      return { tenant, lemlistApiKey: tenant.lemlistApiKey };
+    }
+
+    if (process.env.TENANT_AUTH_REQUIRED === 'true') {
+      return { status: 401, error: 'Unauthorized' };
+    }
+
+    // Basic API key validation if required
+    if (process.env.API_KEY_REQUIRED === 'true' && (!bearer || bearer !== process.env.MCP_API_KEY)) {
+      return { status: 401, error: 'Unauthorized' };
+    }
+
+    // Get Lemlist API key from header (sent by proxy)
+    const lemlistApiKey = req.headers['x-lemlist-api-key'] || process.env.LEMLIST_API_KEY;
+    if (!lemlistApiKey) {
+      return { status: 400, error: 'Lemlist API key required' };
+    }
+
+    return { tenant: null, lemlistApiKey };
+  }
+
+  setupAdminRoutes(app) {
+    /**
+     * Token administration, protected by ADMIN_API_KEY (routes are disabled without it)
+     */
+    const requireAdmin = (req, res, next) => {
+      const adminKey = process.env.ADMIN_API_KEY;
+      const provided = req.headers.authorization?.replace('Bearer ', '') || '';
+      // Fixed-length digests: timingSafeEqual never sees buffers of different sizes
+      const digest = (value) => crypto.createHash('sha256').update(value).digest();
+      const valid = Boolean(adminKey) && crypto.timingSafeEqual(digest(provided), digest(adminKey));
+
+      if (!valid) {
+        return res.status(adminKey ? 401 : 404).json({ error: adminKey ? 'Unauthorized' : 'Not found' });
+      }
+      next();
     };
+
+    app.get('/admin/tokens', requireAdmin, (req, res) => {
+      res.json({ tenants: this.tenantRegistry.list() });
+    });
+
+    app.post('/admin/tokens', requireAdmin, (req, res) => {
+      try {
+        const issued = this.tenantRegistry.issueToken(req.body || {});
+        res.status(201).json({
+          ...issued,
+          message: 'Store this token now: it cannot be retrieved again'
+        });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    app.delete('/admin/tokens/:tenantId', requireAdmin, (req, res) => {
+      try {
+        const tenant = this.tenantRegistry.revoke(req.params.tenantId);
+        if (!tenant) {
+          return res.status(404).json({ error: 'Tenant not found' });
+        }
+        res.json({ tenant, message: 'Token revoked' });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
   }
 
-  async callTool(params) {
+  async callTool(params, context = {}) {
     const { name, arguments: args } = params;
+    // Never fall back to shared state in HTTP mode: the caller passes the request's client
+    const lemlistClient = context.lemlistClient || this.lemlistClient;
       
       try {
-        let result;
-
-        switch (name) {
-          // Campaign Management
-          case 'get_campaigns':
-            result = await this.lemlistClient.getCampaigns(args);
-            break;
-
-          case 'get_campaign':
-            result = await this.lemlistClient.getCampaign(args.campaignId);
-            break;
-
-          case 'create_campaign':
-            result = await this.lemlistClient.createCampaign(args);
-            break;
-
-          case 'update_campaign':
-            result = await this.lemlistClient.updateCampaign(args.campaignId, args);
-            break;
-
-          case 'delete_campaign':
-            result = await this.lemlistClient.deleteCampaign(args.campaignId);
-            break;
-
-          // Lead Management
-          case 'get_leads':
-            result = await this.lemlistClient.getLeads(args);
-            break;
-
-          case 'add_lead':
-            result = await this.lemlistClient.addLead(args);
-            break;
-
-          case 'bulk_add_leads':
-            result = await this.lemlistClient.bulkAddLeads(args.campaignId, args.leads);
-            break;
-
-          case 'update_lead':
-            result = await this.lemlistClient.updateLead(args.leadId, args);
-            break;
-
-          case 'delete_lead':
-            result = await this.lemlistClient.deleteLead(args.leadId);
-            break;
-
-          // Activity & Analytics
-          case 'get_activities':
-            result = await this.lemlistClient.getActivities(args);
-            break;
-
-          case 'get_campaign_stats':
-            result = await this.lemlistClient.getCampaignStats(args.campaignId);
-            break;
-
-          // Team & Account
-          case 'get_team_members':
-            result = await this.lemlistClient.getTeamMembers();
-            break;
-
-          case 'get_account_info':
-            result = await this.lemlistClient.getAccountInfo();
-            break;
-
-          // Templates
-          case 'get_templates':
-            result = await this.lemlistClient.getTemplates(args);
-            break;
-
-          case 'create_template':
-            result = await this.lemlistClient.createTemplate(args);
-            break;
-
-          // High-level workflows
-          case 'create_complete_campaign':
-            result = await this.lemlistClient.createCompleteCampaign(args);
-            break;
-
-          // Unsubscribe Management
-          case 'get_unsubscribes':
-            result = await this.lemlistClient.getUnsubscribes(args);
-            break;
-
-          case 'add_to_unsubscribes':
-            result = await this.lemlistClient.addToUnsubscribes(args.email);
-            break;
-
-          case 'remove_from_unsubscribes':
-            result = await this.lemlistClient.removeFromUnsubscribes(args.email);
-            break;
-
-          case 'unsubscribe_from_campaign':
-            result = await this.lemlistClient.unsubscribeFromCampaign(args.campaignId, args.leadId);
-            break;
-
-          // Advanced Activities
-          case 'get_activities_with_filters':
-            result = await this.lemlistClient.getActivitiesWithFilters(args);
-            break;
-
-          case 'get_activity_types':
-            result = await this.lemlistClient.getActivityTypes();
-            break;
-
-          case 'get_grouped_activities':
-            result = await this.lemlistClient.getGroupedActivities(args.campaignId, args.groupBy);
-            break;
-
-          // Webhooks
-          case 'create_webhook':
-            result = await this.lemlistClient.createWebhook(args);
-            break;
-
-          case 'get_webhooks':
-            result = await this.lemlistClient.getWebhooks();
-            break;
-
-          case 'update_webhook':
-            result = await this.lemlistClient.updateWebhook(args.webhookId, args);
-            break;
-
-          case 'delete_webhook':
-            result = await this.lemlistClient.deleteWebhook(args.webhookId);
-            break;
-
-          // Advanced Search
-          case 'search_leads_advanced':
-            result = await this.lemlistClient.searchLeadsAdvanced(args);
-            break;
-
-          case 'search_campaigns':
-            result = await this.lemlistClient.searchCampaigns(args);
-            break;
-
-          // Enhanced Analytics
-          case 'get_detailed_campaign_stats':
-            result = await this.lemlistClient.getDetailedCampaignStats(args.campaignId, args);
-            break;
-
-          case 'get_multi_campaign_stats':
-            result = await this.lemlistClient.getMultiCampaignStats(args.campaignIds, args);
-            break;
-
-          // LinkedIn Enrichment
-          case 'search_database_for_linkedin':
-            result = await this.lemlistClient.searchPeople(args.filters || [], args.page || 1);
-            break;
-
-          case 'search_and_enrich_person':
-            result = await this.lemlistClient.searchAndEnrichPerson(args.firstName, args.lastName, args.companyDomain);
-            break;
-
-          case 'enrich_lead_linkedin':
-            result = await this.lemlistClient.enrichLeadWithLinkedIn(args.leadId);
-            break;
-
-          case 'get_enriched_lead_data':
-            result = await this.lemlistClient.getEnrichedLeadData(args.leadId);
-            break;
-
-          // Import/Export
-          case 'export_leads':
-            result = await this.lemlistClient.exportLeads(args.campaignId, args);
-            break;
-
-          case 'validate_lead_data':
-            result = await this.lemlistClient.validateLeadData(args.leads);
-            break;
-
-          // Rate Limiting
-          case 'get_rate_limit_status':
-            result = await this.lemlistClient.getRateLimitStatus();
-            break;
-
-          // Utility
-          case 'health_check':
-            result = await this.lemlistClient.healthCheck();
-            break;
-
-          default:
-            throw new Error(`Unknown tool: ${name}`);
+        const tool = getTool(name);
+        if (!tool) {
+          throw new Error(`Unknown tool: ${name}`);
+        }
+
+        if (!this.tenantRegistry.isToolAllowed(context.tenant, tool)) {
+          throw Object.assign(new Error(`Tool ${name} is not allowed for this token`), { status: 403 });
+        }
+
+        const validation = validateToolArguments(tool, args || {});
+        if (!validation.valid) {
+          throw Object.assign(new Error(`Invalid arguments: ${validation.errors.join('; ')}`), {
+            status: 400,
+            validationErrors: validation.errors
+          });
+        }
+
+        const result = await tool.handler(validation.args, {
+          lemlistClient,
+          eventLog: this.getEventLog(accountIdOf(lemlistClient)),
+          webhookReceiverUrl: this.getWebhookReceiverUrl(lemlistClient),
+          enrichmentJobs: this.enrichmentJobs,
+          enrichmentBatches: this.enrichmentBatches,
+          reportProgress: context.reportProgress || (() => {})
+        });
+
+        const changedCampaignId = args?.campaignId || result?.campaignId || result?._id;
+        if (changedCampaignId && tool.notifies) {
+          this.notifyCampaignChanged(changedCampaignId, {
+            listChanged: tool.notifies === 'campaigns',
+            accountId: accountIdOf(lemlistClient)
+          });
         }
 
         return {
@@ -990,7 +277,7 @@ class LemlistMCPServer {
         };
       } catch (error) {
         const errorMessage = error.response?.data?.message || error.message || 'Unknown error occurred';
-        const statusCode = error.response?.status || 500;
+        const statusCode = error.response?.status || error.status || 500;
         
         // Enhanced error logging
         console.error(`[MCP Tool Error] ${name}:`, {
@@ -999,6 +286,7 @@ class LemlistMCPServer {
           retryable: error.retryable,
           rateLimited: error.rateLimited,
           serverError: error.serverError,
+          retries: error.retries,
           args: JSON.stringify(args)
         });
         
@@ -1018,6 +306,8 @@ class LemlistMCPServer {
                 category: errorCategory,
                 retryable: error.retryable || false,
                 rateLimited: error.rateLimited || false,
+                retries: error.retries || 0,
+                ...(error.validationErrors ? { validationErrors: error.validationErrors } : {}),
                 timestamp: new Date().toISOString(),
                 tool: name,
                 troubleshooting: this.getTroubleshootingTips(errorCategory, statusCode)
@@ -1029,27 +319,150 @@ class LemlistMCPServer {
       }
   }
 
-  setupToolHandlers() {
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
-      return await this.getToolsList();
+  async listTools(tenant = null) {
+    return {
+      tools: TOOLS
+        .filter(tool => this.tenantRegistry.isToolAllowed(tenant, tool))
+        .map(toToolDefinition)
+    };
+  }
+
+  setupToolHandlers(server, context = {}) {
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
+      return await this.listTools(context.tenant);
+    });
+
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+      return await this.callTool(request.params, {
+        ...context,
+        reportProgress: this.createProgressReporter(request, extra)
+      });
+    });
+  }
+
+  setupResourceHandlers(server, context = {}) {
+    const lemlistClient = () => context.lemlistClient || this.lemlistClient;
+    // A resource is readable when the tenant may call the tool that returns the same data
+    const canRead = (kind) => this.tenantRegistry.isToolAllowed(context.tenant, getTool(RESOURCE_TOOLS[kind]));
+    server.resourceSubscriptions = new Set();
+
+    server.setRequestHandler(ListResourcesRequestSchema, async () => {
+      return await listResources(lemlistClient(), canRead);
+    });
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return listResourceTemplates(canRead);
+    });
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      return await readResource(lemlistClient(), request.params.uri, canRead);
+    });
+
+    server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      const parsed = parseResourceUri(request.params.uri);
+      if (parsed && !canRead(parsed.kind)) {
+        throw Object.assign(new Error(`Resource ${request.params.uri} is not allowed for this token`), { status: 403 });
+      }
+      server.resourceSubscriptions.add(request.params.uri);
+      return {};
     });
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      return await this.callTool(request.params);
+    server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      server.resourceSubscriptions.delete(request.params.uri);
+      return {};
     });
   }
 
+  setupPromptHandlers(server, context = {}) {
+    // A prompt is available when the tenant may call every tool whose data it pulls in
+    const canUseTool = (toolName) => this.tenantRegistry.isToolAllowed(context.tenant, getTool(toolName));
+
+    server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      return listPrompts(canUseTool);
+    });
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { name, arguments: args } = request.params;
+      return await getPrompt(context.lemlistClient || this.lemlistClient, name, args, canUseTool);
+    });
+  }
+
+  notifyCampaignChanged(campaignId, { listChanged = false, accountId = null } = {}) {
+    /**
+     * Push notifications/resources/updated to every connected server subscribed to this
+     * campaign's resources (and list_changed when campaigns were created or deleted)
+     * With accountId, only sessions of that Lemlist account are notified
+     */
+    const uris = campaignResourceUris(campaignId);
+    const targets = [
+      { server: this.server, lemlistClient: this.lemlistClient },
+      ...this.sessions.values()
+    ];
+
+    for (const { server, lemlistClient } of targets) {
+      if (!server.resourceSubscriptions) continue;
+      if (accountId && accountIdOf(lemlistClient) !== accountId) continue;
+      if (listChanged && server.transport) {
+        server.sendResourceListChanged().catch(() => {});
+      }
+      for (const uri of uris.filter(uri => server.resourceSubscriptions.has(uri))) {
+        server.sendResourceUpdated({ uri }).catch(error => console.error('[MCP Resources] Notification failed:', error.message));
+      }
+    }
+  }
+
+  notifyEnrichmentJobFinished({ accountId, ...job }) {
+    /**
+     * notifications/message to every connected session of the job's Lemlist account
+     */
+    const targets = [
+      { server: this.server, lemlistClient: this.lemlistClient },
+      ...this.sessions.values()
+    ];
+
+    for (const { server, lemlistClient } of targets) {
+      if (!server.transport || accountIdOf(lemlistClient) !== accountId) continue;
+      server.sendLoggingMessage({
+        level: job.status === 'completed' ? 'info' : 'warning',
+        logger: 'enrichment',
+        data: {
+          event: 'enrichment_job_finished',
+          message: job.status === 'completed'
+            ? `LinkedIn URL found for lead ${job.leadId}: ${job.linkedinUrl}`
+            : `Enrichment for lead ${job.leadId} timed out without a LinkedIn URL`,
+          job
+        }
+      }).catch(error => console.error('[MCP Logging] Notification failed:', error.message));
+    }
+  }
+
+  createProgressReporter(request, extra) {
+    /**
+     * notifications/progress for clients that sent a progressToken, a no-op otherwise
+     */
+    const progressToken = request.params._meta?.progressToken;
+    if (progressToken === undefined) return () => {};
+
+    return (progress, total, message) => {
+      extra.sendNotification({
+        method: 'notifications/progress',
+        params: { progressToken, progress, total, message }
+      }).catch(error => console.error('[MCP Progress Error]', error.message));
+    };
+  }
+
   categorizeError(error) {
     const status = error.response?.status || error.status;
     
+    if (error.validationErrors) return 'validation';
     if (status === 401) return 'authentication';
     if (status === 403) return 'authorization';
     if (status === 404) return 'not_found';
     if (status === 429) return 'rate_limit';
     if (status >= 400 && status < 500) return 'client_error';
     if (status >= 500) return 'server_error';
-    if (error.code === 'ECONNREFUSED') return 'connection_error';
-    if (error.code === 'ETIMEDOUT') return 'timeout';
+    if (error.code === 'ECONNREFUSED' || error.code === 'ECONNRESET') return 'connection_error';
+    if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') return 'timeout';
     
     return 'unknown';
   }
@@ -1065,6 +478,8 @@ class LemlistMCPServer {
         return 'Access denied. Your API key may not have permission for this operation.';
       case 'not_found':
         return 'The requested resource was not found. Please check the ID parameters.';
+      case 'validation':
+        return `Invalid arguments for ${toolName}: ${error.validationErrors.join('; ')}`;
       case 'rate_limit':
         return 'Rate limit exceeded. Please wait a moment before trying again.';
       case 'server_error':
@@ -1092,13 +507,18 @@ class LemlistMCPServer {
         'Ensure your account has access to this feature',
         'Contact Lemlist support if permissions seem correct'
       ],
+      validation: [
+        'Check the tool inputSchema in tools/list for field names and types',
+        'Provide every required field',
+        'Remove fields the tool does not declare'
+      ],
       not_found: [
         'Verify the campaign/lead ID exists',
         'Check for typos in the ID parameters',
         'Ensure you have access to the specified resource'
       ],
       rate_limit: [
-        'Wait for the rate limit to reset',
+        'Wait for the rate limit to reset (see get_rate_limit_status)',
         'Reduce the frequency of API calls',
         'Use bulk operations when available'
       ],
@@ -1123,14 +543,6 @@ class LemlistMCPServer {
   }
 
   setupErrorHandling() {
-    this.server.onerror = (error) => {
-      console.error('[MCP Server Error]', {
-        message: error.message,
-        stack: error.stack,
-        timestamp: new Date().toISOString()
-      });
-    };
-
     // Handle uncaught exceptions
     process.on('uncaughtException', (error) => {
       console.error('[Uncaught Exception]', {
@@ -1153,6 +565,7 @@ class LemlistMCPServer {
     process.on('SIGINT', async () => {
       console.error('[Shutdown] Received SIGINT, closing server gracefully...');
       try {
+        await this.closeSessions();
         await this.server.close();
         console.error('[Shutdown] Server closed successfully');
       } catch (error) {
@@ -1164,6 +577,7 @@ class LemlistMCPServer {
     process.on('SIGTERM', async () => {
       console.error('[Shutdown] Received SIGTERM, closing server gracefully...');
       try {
+        await this.closeSessions();
         await this.server.close();
         console.error('[Shutdown] Server closed successfully');
       } catch (error) {
@@ -1173,6 +587,194 @@ class LemlistMCPServer {
     });
   }
 
+  setupWebhookRoutes(app) {
+    /**
+     * Receiver for Lemlist webhooks (see get_webhook_receiver_url), one URL per account
+     * Disabled without WEBHOOK_SECRET: an open receiver would let anyone inject events
+     */
+    const secret = process.env.WEBHOOK_SECRET;
+    if (!secret) {
+      console.error('[Webhooks] WEBHOOK_SECRET is not set: webhook receiver disabled');
+      return;
+    }
+
+    app.post('/webhooks/lemlist/:accountId/:token', (req, res) => {
+      const { accountId, token } = req.params;
+      if (!/^[0-9a-f]{16}$/.test(accountId) || !isValidReceiverToken(accountId, token, secret)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+
+      const payloads = Array.isArray(req.body) ? req.body : [req.body];
+      if (payloads.some(payload => !payload || typeof payload !== 'object' || Array.isArray(payload))) {
+        return res.status(400).json({ error: 'Webhook payloads must be JSON objects' });
+      }
+
+      const eventLog = this.getEventLog(accountId);
+      const stored = payloads.map(payload => eventLog.record(payload)).filter(Boolean);
+      for (const campaignId of new Set(stored.map(entry => entry.campaignId).filter(Boolean))) {
+        this.notifyCampaignChanged(campaignId, { accountId });
+      }
+
+      res.json({ received: payloads.length, stored: stored.length });
+    });
+  }
+
+  setupMcpRoutes(app) {
+    /**
+     * MCP Streamable HTTP transport on /mcp: JSON-RPC over POST, SSE stream on GET,
+     * session termination on DELETE. Each session gets its own Server bound to the
+     * caller's Lemlist client, and only the credentials that opened it may use it.
+     */
+    const credentialId = (auth) => auth.tenant
+      ? `tenant:${auth.tenant.id}`
+      : `key:${crypto.createHash('sha256').update(auth.lemlistApiKey).digest('hex')}`;
+
+    const jsonRpcError = (res, status, code, message) => res.status(status).json({
+      jsonrpc: '2.0',
+      error: { code, message },
+      id: null
+    });
+
+    const resolveSession = (req, res) => {
+      const auth = this.authenticateRequest(req);
+      if (auth.error) {
+        jsonRpcError(res, auth.status, -32001, auth.error);
+        return null;
+      }
+
+      const sessionId = req.headers['mcp-session-id'];
+      const session = sessionId && this.sessions.get(sessionId);
+      if (sessionId && !session) {
+        jsonRpcError(res, 404, -32001, 'Session not found');
+        return null;
+      }
+      if (session && session.credentialId !== credentialId(auth)) {
+        jsonRpcError(res, 403, -32001, 'Session belongs to different credentials');
+        return null;
+      }
+
+      if (session) session.lastSeen = Date.now();
+      return { auth, session };
+    };
+
+    app.post('/mcp', async (req, res) => {
+      try {
+        // Bodies without a JSON-RPC envelope come from older lemlist-proxy.js versions
+        if (req.body && !req.body.jsonrpc && !Array.isArray(req.body)) {
+          return await this.handleLegacyMcpRequest(req, res);
+        }
+
+        const resolved = resolveSession(req, res);
+        if (!resolved) return;
+        const { auth, session } = resolved;
+
+        if (session) {
+          return await session.transport.handleRequest(req, res, req.body);
+        }
+
+        if (!isInitializeRequest(req.body)) {
+          return jsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+        }
+
+        const context = { lemlistClient: this.getClientForApiKey(auth.lemlistApiKey), tenant: auth.tenant };
+        const server = this.createMcpServer(context);
+        const transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => crypto.randomUUID(),
+          onsessioninitialized: (sessionId) => {
+            this.sessions.set(sessionId, {
+              transport,
+              server,
+              lemlistClient: context.lemlistClient,
+              credentialId: credentialId(auth),
+              lastSeen: Date.now(),
+              openStreams: 0
+            });
+            console.log(`MCP session ${sessionId} opened - ${auth.tenant ? `Tenant: ${auth.tenant.name}` : `API Key: ${auth.lemlistApiKey.substring(0, 8)}...`}`);
+          }
+        });
+        transport.onclose = () => {
+          if (transport.sessionId) this.sessions.delete(transport.sessionId);
+        };
+
+        await server.connect(transport);
+        await transport.handleRequest(req, res, req.body);
+      } catch (error) {
+        console.error('MCP Request Error:', error);
+        if (!res.headersSent) {
+          jsonRpcError(res, 500, -32603, 'Internal server error');
+        }
+      }
+    });
+
+    // Server-to-client SSE stream and session termination
+    const handleSessionRequest = async (req, res) => {
+      const resolved = resolveSession(req, res);
+      if (!resolved) return;
+      const { session } = resolved;
+      if (!session) {
+        return jsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+      }
+      // An open SSE stream counts as activity, so clients that only listen are not swept
+      if (req.method === 'GET') {
+        session.openStreams++;
+        res.on('close', () => {
+          session.openStreams--;
+          session.lastSeen = Date.now();
+        });
+      }
+      await session.transport.handleRequest(req, res);
+    };
+    app.get('/mcp', handleSessionRequest);
+    app.delete('/mcp', handleSessionRequest);
+
+    // Drop sessions whose client disappeared without sending DELETE
+    const sessionTtlMs = parseInt(process.env.MCP_SESSION_TTL_MS || '1800000', 10);
+    setInterval(() => {
+      for (const [sessionId, session] of this.sessions) {
+        if (session.openStreams === 0 && Date.now() - session.lastSeen > sessionTtlMs) {
+          session.transport.close().catch(() => {});
+          this.sessions.delete(sessionId);
+        }
+      }
+    }, Math.min(sessionTtlMs, 60000)).unref();
+  }
+
+  async handleLegacyMcpRequest(req, res) {
+    /**
+     * Bespoke {method, params} protocol used by lemlist-proxy.js before Streamable HTTP
+     */
+    const auth = this.authenticateRequest(req);
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    const { tenant, lemlistApiKey } = auth;
+
+    // Request-scoped client: concurrent users never share an API key
+    const lemlistClient = this.getClientForApiKey(lemlistApiKey);
+
+    const { method, params } = req.body;
+    
+    if (method === 'tools/list') {
+      // Directly call the tools list handler instead of using server.request
+      const toolsResponse = await this.listTools(tenant);
+      console.log(`Tools list request - ${tenant ? `Tenant: ${tenant.name}` : `API Key: ${lemlistApiKey?.substring(0, 8)}...`}`);
+      console.log(`Tools count: ${toolsResponse.tools?.length || 0}`);
+      res.json(toolsResponse);
+    } else if (method === 'tools/call') {
+      const toolResponse = await this.callTool(params, { lemlistClient, tenant });
+      res.json(toolResponse);
+    } else {
+      res.status(400).json({ error: 'Invalid method' });
+    }
+  }
+
+  async closeSessions() {
+    for (const session of this.sessions.values()) {
+      await session.transport.close().catch(() => {});
+    }
+    this.sessions.clear();
+  }
+
   async run() {
     // Check if running in Railway/production mode (HTTP server) or stdio mode
     if (process.env.PORT || process.env.RAILWAY_ENVIRONMENT) {
@@ -1203,8 +805,9 @@ class LemlistMCPServer {
       } else {
         res.header('Access-Control-Allow-Origin', allowedOrigins);
       }
-      res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+      res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Lemlist-API-Key, Mcp-Session-Id, Mcp-Protocol-Version, Last-Event-ID');
       res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+      res.header('Access-Control-Expose-Headers', 'Mcp-Session-Id');
       next();
     });
 
@@ -1219,55 +822,11 @@ class LemlistMCPServer {
       });
     });
 
-    // MCP endpoint for remote access
-    app.post('/mcp', async (req, res) => {
-      try {
-        // Basic API key validation if required
-        if (process.env.API_KEY_REQUIRED === 'true') {
-          const apiKey = req.headers.authorization?.replace('Bearer ', '');
-          if (!apiKey || apiKey !== process.env.MCP_API_KEY) {
-            return res.status(401).json({ error: 'Unauthorized' });
-          }
-        }
-
-        // Get Lemlist API key from header (sent by proxy)
-        const lemlistApiKey = req.headers['x-lemlist-api-key'] || process.env.LEMLIST_API_KEY;
-        if (!lemlistApiKey) {
-          return res.status(400).json({ error: 'Lemlist API key required' });
-        }
+    this.setupAdminRoutes(app);
 
-        // Temporarily update the client with the user's API key
-        const originalApiKey = this.lemlistClient.apiKey;
-        this.lemlistClient = new LemlistClient({
-          apiKey: lemlistApiKey,
-        });
+    this.setupWebhookRoutes(app);
 
-        const { method, params } = req.body;
-        
-        try {
-          if (method === 'tools/list') {
-            // Directly call the tools list handler instead of using server.request
-            const toolsResponse = await this.getToolsList();
-            console.log(`Tools list request - API Key: ${lemlistApiKey?.substring(0, 8)}...`);
-            console.log(`Tools count: ${toolsResponse.tools?.length || 0}`);
-            res.json(toolsResponse);
-          } else if (method === 'tools/call') {
-            const toolResponse = await this.callTool(params);
-            res.json(toolResponse);
-          } else {
-            res.status(400).json({ error: 'Invalid method' });
-          }
-        } finally {
-          // Restore original client (though this doesn't matter much for stateless requests)
-          this.lemlistClient = new LemlistClient({
-            apiKey: originalApiKey,
-          });
-        }
-      } catch (error) {
-        console.error('MCP Request Error:', error);
-        res.status(500).json({ error: 'Internal server error' });
-      }
-    });
+    this.setupMcpRoutes(app);
 
     // Info endpoint
     app.get('/', (req, res) => {
@@ -1277,7 +836,9 @@ class LemlistMCPServer {
         description: 'Model Context Protocol server for Lemlist.com integration',
         endpoints: {
           health: '/health',
-          mcp: '/mcp (POST)'
+          mcp: '/mcp (MCP Streamable HTTP: POST, GET, DELETE)',
+          webhooks: '/webhooks/lemlist/:accountId/:token (POST, see get_webhook_receiver_url)',
+          admin: '/admin/tokens (GET, POST, DELETE /:tenantId)'
         },
         usage: 'Use this server with Claude Desktop or other MCP clients'
       });
@@ -0,0 +1,115 @@
+/**
+ * Lead Data Validator
+ * Checks lead rows before import: email syntax, role and disposable addresses,
+ * duplicates within the batch, required fields and name/company casing
+ */
+
+import fs from 'fs';
+import { normalizeEmail } from './suppression-list.js';
+
+const EMAIL_PATTERN = /^[A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]+@[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?)*\.[A-Za-z]{2,}$/;
+
+const ROLE_PREFIXES = [
+  'admin', 'billing', 'careers', 'contact', 'enquiries', 'hello', 'help', 'hr', 'info', 'jobs',
+  'marketing', 'no-reply', 'noreply', 'office', 'postmaster', 'sales', 'support', 'team', 'webmaster'
+];
+
+const DISPOSABLE_DOMAINS = new Set(
+  JSON.parse(fs.readFileSync(new URL('../config/disposable-domains.json', import.meta.url), 'utf8'))
+);
+
+const CASED_FIELDS = ['firstName', 'lastName', 'companyName'];
+
+export const DEFAULT_REQUIRED_FIELDS = ['email', 'firstName', 'lastName'];
+
+export function isValidEmail(email) {
+  return typeof email === 'string' && email.length <= 254 && EMAIL_PATTERN.test(email.trim());
+}
+
+function checkCasing(field, value) {
+  if (typeof value !== 'string' || !/[A-Za-z]/.test(value)) return null;
+
+  if (value !== value.trim()) {
+    return `${field} has leading or trailing spaces`;
+  }
+  if (value.length > 3 && value === value.toUpperCase()) {
+    return `${field} "${value}" is all caps`;
+  }
+  if (value === value.toLowerCase()) {
+    return `${field} "${value}" is all lowercase`;
+  }
+  return null;
+}
+
+export function validateLeadRow(lead = {}, requiredFields = DEFAULT_REQUIRED_FIELDS) {
+  const errors = [];
+  const warnings = [];
+
+  if (!lead || typeof lead !== 'object' || Array.isArray(lead)) {
+    errors.push('Lead must be an object');
+    return { errors, warnings };
+  }
+
+  for (const field of requiredFields) {
+    if (typeof lead[field] !== 'string' || lead[field].trim() === '') {
+      errors.push(`Missing required field: ${field}`);
+    }
+  }
+
+  if (lead.email) {
+    if (!isValidEmail(lead.email)) {
+      errors.push(`Invalid email syntax: ${lead.email}`);
+    } else {
+      const [localPart, domain] = normalizeEmail(lead.email).split('@');
+      if (DISPOSABLE_DOMAINS.has(domain)) {
+        errors.push(`Disposable email domain: ${domain}`);
+      }
+      if (ROLE_PREFIXES.includes(localPart.split('+')[0])) {
+        warnings.push(`Role address (${localPart}@): usually not a person, expect low reply rates`);
+      }
+    }
+  }
+
+  for (const field of CASED_FIELDS) {
+    const warning = checkCasing(field, lead[field]);
+    if (warning) warnings.push(warning);
+  }
+
+  return { errors, warnings };
+}
+
+export function validateLeads(leads = [], options = {}) {
+  /**
+   * Validate a batch of leads; duplicates after the first occurrence are errors
+   */
+  const { requiredFields = DEFAULT_REQUIRED_FIELDS } = options;
+  const firstSeen = new Map();
+
+  const rows = leads.map((lead, index) => {
+    const { errors, warnings } = validateLeadRow(lead, requiredFields);
+    const email = normalizeEmail(lead?.email);
+
+    if (email) {
+      if (firstSeen.has(email)) {
+        errors.push(`Duplicate email: same as row ${firstSeen.get(email)}`);
+      } else {
+        firstSeen.set(email, index);
+      }
+    }
+
+    return { index, email: lead?.email || null, valid: errors.length === 0, errors, warnings };
+  });
+
+  const validRows = rows.filter(row => row.valid).length;
+
+  return {
+    valid: validRows === rows.length,
+    summary: {
+      total: rows.length,
+      validRows,
+      invalidRows: rows.length - validRows,
+      rowsWithWarnings: rows.filter(row => row.warnings.length > 0).length
+    },
+    rows
+  };
+}
@@ -5,6 +5,118 @@
  */
 
 import axios from 'axios';
+import { WEBHOOK_EVENT_TYPES, toWebhookEvent } from './webhook-event-log.js';
+import { SuppressionList, normalizeEmail } from './suppression-list.js';
+import { validateTemplate, renderTemplate } from './templates.js';
+import { RateLimiter } from './rate-limiter.js';
+import { classifyError, shouldRetry, getRetryDelay } from './retry-policy.js';
+import { validateLeads, isValidEmail } from './lead-validator.js';
+import { DEFAULT_PEOPLE_RESULTS, MAX_PEOPLE_RESULTS, normalizePerson, readPeoplePage } from './people-search.js';
+import { compilePeopleQuery } from './people-query.js';
+
+const PAGE_SIZE = 100;
+const MAX_ACTIVITIES = 10000;
+const MAX_ACTIVITY_PAGES = MAX_ACTIVITIES / PAGE_SIZE;
+const DEFAULT_GROUPED_ACTIVITIES = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SANDBOX_NAME = 'MCP Enrichment Sandbox';
+// Campaign settings accepted by create_campaign; anything else is dropped before reaching the API
+const CAMPAIGN_SETTINGS = ['trackOpens', 'trackClicks'];
+
+const ACTIVITY_TYPES = {
+  emailsSent: 'Email sent to a lead',
+  emailsOpened: 'Email opened by a lead',
+  emailsClicked: 'Link clicked in an email',
+  emailsReplied: 'Lead replied to an email',
+  emailsBounced: 'Email bounced',
+  emailsUnsubscribed: 'Lead unsubscribed from emails',
+  emailsFailed: 'Email could not be sent',
+  linkedinVisitDone: 'LinkedIn profile visited',
+  linkedinInviteDone: 'LinkedIn invitation sent',
+  linkedinInviteAccepted: 'LinkedIn invitation accepted',
+  linkedinSent: 'LinkedIn message sent',
+  linkedinReplied: 'Lead replied on LinkedIn',
+  paused: 'Lead paused in campaign',
+  interested: 'Lead marked as interested',
+  notInterested: 'Lead marked as not interested'
+};
+
+const ACTIVITY_GROUP_KEYS = {
+  type: activity => activity.type || 'unknown',
+  date: activity => (activity.createdAt ? new Date(activity.createdAt).toISOString().slice(0, 10) : 'unknown'),
+  lead: activity => activity.leadId || activity.leadEmail || 'unknown'
+};
+
+const EMAIL_STEP_COUNTERS = {
+  emailsSent: 'sent',
+  emailsOpened: 'opened',
+  emailsClicked: 'clicked',
+  emailsReplied: 'replied',
+  emailsBounced: 'bounced',
+  emailsUnsubscribed: 'unsubscribed'
+};
+
+const LINKEDIN_STEP_COUNTERS = {
+  linkedinVisitDone: 'visits',
+  linkedinInviteDone: 'invitesSent',
+  linkedinInviteAccepted: 'invitesAccepted',
+  linkedinSent: 'messagesSent',
+  linkedinReplied: 'replied'
+};
+
+function percentage(part, whole) {
+  return whole ? Math.round((part / whole) * 1000) / 10 : 0;
+}
+
+function withEmailRates(counts) {
+  return {
+    ...counts,
+    openRate: percentage(counts.opened, counts.sent),
+    clickRate: percentage(counts.clicked, counts.sent),
+    replyRate: percentage(counts.replied, counts.sent),
+    bounceRate: percentage(counts.bounced, counts.sent)
+  };
+}
+
+function withLinkedInRates(counts) {
+  return {
+    ...counts,
+    acceptanceRate: percentage(counts.invitesAccepted, counts.invitesSent),
+    replyRate: percentage(counts.replied, counts.messagesSent)
+  };
+}
+
+function endOfRange(dateTo) {
+  // A date-only dateTo (YYYY-MM-DD) includes that whole day, not just its first millisecond
+  const time = new Date(dateTo).getTime();
+  return /^\d{4}-\d{2}-\d{2}$/.test(dateTo) ? time + DAY_MS - 1 : time;
+}
+
+function isWithinDateRange(value, dateFrom, dateTo) {
+  if (!dateFrom && !dateTo) return true;
+  if (!value) return false;
+
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) return false;
+  if (dateFrom && time < new Date(dateFrom).getTime()) return false;
+  if (dateTo && time > endOfRange(dateTo)) return false;
+  return true;
+}
+
+function toCsv(rows) {
+  /**
+   * RFC 4180 CSV with a header row taken from the keys of the first row
+   */
+  if (rows.length === 0) return '';
+  const columns = Object.keys(rows[0]);
+  const cell = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(values => values.map(cell).join(','))
+    .join('\r\n');
+}
 
 export class LemlistClient {
   constructor(config) {
@@ -15,6 +127,8 @@ export class LemlistClient {
       throw new Error('LEMLIST_API_KEY is required');
     }
 
+    this.suppressionList = new SuppressionList(this.apiKey);
+
     this.client = axios.create({
       baseURL: this.baseURL,
       headers: {
@@ -26,6 +140,68 @@ export class LemlistClient {
       },
       timeout: 30000
     });
+
+    this.retryOptions = {
+      maxRetries: parseInt(process.env.RETRY_MAX_ATTEMPTS || '3', 10),
+      baseDelayMs: parseInt(process.env.RETRY_BASE_DELAY_MS || '500', 10),
+      maxDelayMs: 30000,
+      // Kept under the proxy's 60s PROXY_TIMEOUT_MS so a retried call still answers before it gives up
+      maxElapsedMs: parseInt(process.env.RETRY_MAX_ELAPSED_MS || '45000', 10)
+    };
+
+    // Paused campaign that holds enrichment-only leads (see getEnrichmentSandbox)
+    this.enrichmentSandbox = null;
+    this.enrichmentSandboxCheckMs = parseInt(process.env.ENRICHMENT_SANDBOX_CHECK_MS || '300000', 10);
+
+    this.rateLimiter = new RateLimiter({
+      maxRequests: parseInt(process.env.RATE_LIMIT_REQUESTS || '100', 10),
+      windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '60000', 10)
+    });
+
+    // Every request waits for a token; every response updates the budget from Lemlist's headers
+    this.client.interceptors.request.use(async (requestConfig) => {
+      await this.waitForRateLimit();
+      requestConfig.firstAttemptAt = requestConfig.firstAttemptAt || Date.now();
+      return requestConfig;
+    });
+    this.client.interceptors.response.use(
+      (response) => {
+        this.rateLimiter.updateFromHeaders(response.headers);
+        return response;
+      },
+      (error) => {
+        if (error.response) this.rateLimiter.updateFromHeaders(error.response.headers);
+        return this.retryRequest(error);
+      }
+    );
+  }
+
+  async retryRequest(error) {
+    /**
+     * Retry 429s, 5xx and dropped connections with jittered backoff (Retry-After wins when present)
+     * No retry starts once it would begin more than maxElapsedMs after the first attempt
+     * The final error is annotated with retryable / rateLimited / serverError for callTool
+     */
+    const classification = classifyError(error);
+    const config = error.config;
+    const attempt = config?.retryCount || 0;
+    const { maxRetries, maxElapsedMs = Infinity } = this.retryOptions;
+    const wait = getRetryDelay(error, attempt, this.retryOptions);
+    const withinBudget = Date.now() + wait - (config?.firstAttemptAt || Date.now()) <= maxElapsedMs;
+
+    if (config && attempt < maxRetries && withinBudget && shouldRetry(error, classification)) {
+      console.error(`[Lemlist API] ${config.method?.toUpperCase()} ${config.url} failed (${error.response?.status || error.code}), retry ${attempt + 1}/${maxRetries} in ${wait}ms`);
+
+      config.retryCount = attempt + 1;
+      await this.delay(wait);
+      return this.client.request(config);
+    }
+
+    error.retryable = classification.retryable;
+    error.rateLimited = classification.rateLimited;
+    error.serverError = classification.serverError;
+    error.retries = attempt;
+    throw error;
   }
 
   // === CAMPAIGN MANAGEMENT (Required for lead creation) ===
@@ -48,6 +224,172 @@ export class LemlistClient {
     return response.data;
   }
 
+  async updateCampaign(campaignId, updateData = {}) {
+    /**
+     * Update campaign name, sequence or settings
+     */
+    const { campaignId: _ignored, ...payload } = updateData;
+    const response = await this.client.patch(`/campaigns/${campaignId}`, payload);
+    return response.data;
+  }
+
+  async pauseCampaign(campaignId) {
+    const response = await this.client.post(`/campaigns/${campaignId}/pause`);
+    return response.data;
+  }
+
+  async deleteCampaign(campaignId) {
+    /**
+     * Permanently remove a campaign
+     */
+    await this.client.delete(`/campaigns/${campaignId}`);
+    return { success: true, campaignId, message: 'Campaign deleted successfully' };
+  }
+
+  async getAllCampaigns() {
+    /**
+     * Page through /campaigns until the API returns a short page
+     */
+    const campaigns = [];
+    let offset = 0;
+
+    while (true) {
+      const page = await this.getCampaigns({ limit: PAGE_SIZE, offset });
+      if (!Array.isArray(page) || page.length === 0) break;
+
+      campaigns.push(...page);
+      if (page.length < PAGE_SIZE) break;
+      offset += PAGE_SIZE;
+    }
+
+    return campaigns;
+  }
+
+  async searchCampaigns(filters = {}) {
+    /**
+     * Search campaigns by name, status and creation date
+     * The API has no server-side search, so every campaign is fetched and filtered here
+     */
+    const { name, status, dateFrom, dateTo, limit = 100, offset = 0 } = filters;
+    const campaigns = await this.getAllCampaigns();
+    const nameQuery = name?.toLowerCase();
+
+    const matches = campaigns.filter(campaign => {
+      if (nameQuery && !campaign.name?.toLowerCase().includes(nameQuery)) return false;
+      if (status && campaign.status !== status) return false;
+      return isWithinDateRange(campaign.createdAt, dateFrom, dateTo);
+    });
+
+    return {
+      success: true,
+      campaigns: matches.slice(offset, offset + limit),
+      totalFound: matches.length,
+      filters: filters
+    };
+  }
+
+  async addSequenceSteps(campaignId, emailSequence, sequenceId = null) {
+    /**
+     * Append email steps to a campaign's main sequence
+     */
+    if (!sequenceId) {
+      const response = await this.client.get(`/campaigns/${campaignId}/sequences`);
+      // Either a list of sequences or an object keyed by sequence id
+      const sequences = response.data || {};
+      sequenceId = Array.isArray(sequences) ? sequences[0]?._id : Object.keys(sequences)[0];
+    }
+
+    if (!sequenceId) {
+      throw Object.assign(new Error(`Campaign ${campaignId} has no sequence to add email steps to`), { status: 404 });
+    }
+
+    const steps = [];
+    for (const email of emailSequence) {
+      const response = await this.client.post(`/sequences/${sequenceId}/steps`, {
+        type: 'email',
+        subject: email.subject,
+        message: email.body,
+        delay: email.delay ?? 0
+      });
+      steps.push(response.data);
+    }
+
+    return { sequenceId, steps };
+  }
+
+  async createCompleteCampaign(options, hooks = {}) {
+    /**
+     * Create campaign -> email sequence -> leads, in order
+     * If a step fails the half-built campaign is deleted so nothing is left orphaned
+     */
+    const { campaignName, emailSequence = [], leads = [], settings = {} } = options;
+    const { onProgress = () => {} } = hooks;
+    const report = [];
+    let campaign = null;
+
+    const runStep = async (step, action) => {
+      try {
+        const result = await action();
+        report.push({ step, status: 'completed', result });
+        onProgress(report.length, 3, `${step} completed`);
+        return result;
+      } catch (error) {
+        report.push({ step, status: 'failed', error: error.response?.data?.message || error.message });
+        throw error;
+      }
+    };
+
+    try {
+      const campaignSettings = Object.fromEntries(
+        Object.entries(settings).filter(([key]) => CAMPAIGN_SETTINGS.includes(key))
+      );
+      campaign = await runStep('create_campaign', () => this.createCampaign({ name: campaignName, settings: campaignSettings }));
+
+      await runStep('create_sequence', () => this.addSequenceSteps(campaign._id, emailSequence, campaign.sequenceId));
+
+      if (leads.length > 0) {
+        await runStep('add_leads', async () => {
+          const result = await this.bulkAddLeads(campaign._id, leads);
+          if (result.error) throw new Error(result.error);
+          return result;
+        });
+      } else {
+        report.push({ step: 'add_leads', status: 'skipped', reason: 'No leads provided' });
+      }
+
+      return {
+        success: true,
+        campaignId: campaign._id,
+        campaign,
+        steps: report
+      };
+    } catch (error) {
+      const message = error.response?.data?.message || error.message;
+      if (!campaign) {
+        return { success: false, error: message, steps: report };
+      }
+
+      try {
+        await this.deleteCampaign(campaign._id);
+        report.push({ step: 'rollback', status: 'completed', result: { deletedCampaignId: campaign._id } });
+      } catch (rollbackError) {
+        report.push({
+          step: 'rollback',
+          status: 'failed',
+          error: rollbackError.message,
+          note: `Campaign ${campaign._id} could not be deleted and must be removed manually`
+        });
+      }
+
+      return {
+        success: false,
+        error: message,
+        rolledBack: report.at(-1).status === 'completed',
+        steps: report
+      };
+    }
+  }
+
   // === LEAD MANAGEMENT ===
 
   async getLeads(options = {}) {
@@ -61,6 +403,16 @@ export class LemlistClient {
 
   async addLead(leadData) {
     const { campaignId, email, firstName, lastName, companyName } = leadData;
+
+    await this.refreshSuppressionList();
+    if (this.suppressionList.has(email)) {
+      return {
+        success: false,
+        suppressed: true,
+        email,
+        message: 'Lead not added: this email is on the unsubscribe list'
+      };
+    }
     
     const payload = {
       email,
@@ -81,17 +433,34 @@ export class LemlistClient {
     
     console.error(`[Lemlist API] Bulk adding ${leads.length} leads to campaign ${campaignId}`);
     
-    const validLeads = leads.filter(lead => lead.email && lead.firstName && lead.lastName);
+    const validation = validateLeads(leads);
+    const rejectedLeads = validation.rows
+      .filter(row => !row.valid)
+      .map(({ index, email, errors }) => ({ index, email, errors }));
+    const completeLeads = leads.filter((lead, index) => validation.rows[index].valid);
+
+    await this.refreshSuppressionList();
+    const { allowed: validLeads, suppressed } = this.suppressionList.partition(completeLeads);
+    const suppressedEmails = suppressed.map(lead => lead.email);
     
     if (validLeads.length === 0) {
-      return { error: 'No valid leads provided. Each lead needs email, firstName, and lastName.' };
+      return {
+        error: 'No valid leads provided. Each lead needs a valid email, firstName, and lastName, and must not be unsubscribed.',
+        skippedLeads: rejectedLeads.length,
+        rejectedLeads,
+        suppressedLeads: suppressedEmails.length,
+        suppressedEmails
+      };
     }
 
     const response = await this.client.post(`/campaigns/${campaignId}/leads`, validLeads);
     return {
       success: true,
       addedLeads: validLeads.length,
-      skippedLeads: leads.length - validLeads.length,
+      skippedLeads: rejectedLeads.length,
+      rejectedLeads,
+      suppressedLeads: suppressedEmails.length,
+      suppressedEmails,
       data: response.data
     };
   }
@@ -112,146 +481,360 @@ export class LemlistClient {
     return { success: true, leadId, message: 'Lead deleted successfully' };
   }
 
-  // === PEOPLE DATABASE SEARCH ===
+  validateEmail(email) {
+    return isValidEmail(email);
+  }
 
-  async searchPeople(filters = [], page = 1) {
+  async validateLeadData(leads = []) {
     /**
-     * Search Lemlist's people database with filters
-     * Uses the correct /schema/people endpoint as shown in API documentation
+     * Per-row errors (block import) and warnings (worth a look) for a batch of leads
      */
-    
-    console.error(`[Lemlist API] Searching people database with filters:`, filters);
-    
+    return {
+      success: true,
+      ...validateLeads(leads)
+    };
+  }
+
+  // === UNSUBSCRIBES ===
+
+  async getUnsubscribes(options = {}) {
+    const { limit = 100, offset = 0 } = options;
+    const response = await this.client.get('/unsubscribes', {
+      params: { limit, offset }
+    });
+    return response.data;
+  }
+
+  async syncUnsubscribes() {
+    /**
+     * Download the full unsubscribe list into the local suppression mirror
+     */
+    const emails = [];
+    let offset = 0;
+
+    while (true) {
+      const page = await this.getUnsubscribes({ limit: PAGE_SIZE, offset });
+      if (!Array.isArray(page) || page.length === 0) break;
+
+      emails.push(...page.map(entry => entry.email || entry.value).filter(Boolean));
+      if (page.length < PAGE_SIZE) break;
+      offset += PAGE_SIZE;
+    }
+
+    this.suppressionList.replace(emails);
+    return { success: true, totalUnsubscribes: this.suppressionList.emails.size, syncedAt: this.suppressionList.syncedAt };
+  }
+
+  async refreshSuppressionList() {
+    /**
+     * Re-sync the mirror when it is older than SUPPRESSION_SYNC_INTERVAL_MS
+     * A failed sync falls back to the cached list; with no list synced yet the import is refused,
+     * since nothing could be checked
+     */
+    if (!this.suppressionList.isStale()) return;
+
     try {
-      // Use the correct format from curl example
-      const response = await this.client.request({
-        method: 'GET',
-        url: '/schema/people',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        data: {
-          filters,
-          page
-        }
-      });
-      
-      if (response.data && response.data.schema) {
-        console.error(`[Lemlist API] ✅ Found schema data with LinkedIn URL`);
-        
-        // Extract LinkedIn URLs from schema response
-        const schema = response.data.schema;
-        const linkedinUrl = schema.lead_linkedin_url;
-        const linkedinShort = schema.linkedin_short;
-        const companyLinkedInUrl = schema.experiences?.[0]?.company_linkedin_url;
-        
-        return {
-          success: true,
-          found: !!linkedinUrl,
-          data: {
-            leadId: schema.lead_id,
-            fullName: schema.full_name,
-            linkedinUrl: linkedinUrl,
-            linkedinShort: linkedinShort,
-            companyLinkedInUrl: companyLinkedInUrl,
-            title: schema.title,
-            location: schema.location,
-            summary: schema.summary,
-            fullSchema: schema
-          },
-          totalResults: 1
-        };
+      await this.syncUnsubscribes();
+    } catch (error) {
+      if (!this.suppressionList.syncedAt) {
+        throw Object.assign(
+          new Error(`Leads not added: the unsubscribe list could not be synced, so suppression could not be checked (${error.message})`),
+          { status: 503 }
+        );
       }
-      
+      console.error(`[Lemlist API] Could not sync unsubscribes, using cached list:`, error.message);
+    }
+  }
+
+  async addToUnsubscribes(email) {
+    const response = await this.client.post(`/unsubscribes/${encodeURIComponent(normalizeEmail(email))}`);
+    this.suppressionList.add(email);
+    return { success: true, email, data: response.data };
+  }
+
+  async removeFromUnsubscribes(email) {
+    await this.client.delete(`/unsubscribes/${encodeURIComponent(normalizeEmail(email))}`);
+    this.suppressionList.remove(email);
+    return { success: true, email, message: 'Email removed from unsubscribe list' };
+  }
+
+  async unsubscribeFromCampaign(campaignId, leadId) {
+    /**
+     * Stop a single lead's sequence in one campaign (does not touch the global list)
+     */
+    const response = await this.client.delete(`/campaigns/${campaignId}/leads/${leadId}`);
+    return { success: true, campaignId, leadId, data: response.data };
+  }
+
+  // === TEAM & ACCOUNT ===
+
+  async getTeamMembers() {
+    const response = await this.client.get('/team/members');
+    return response.data;
+  }
+
+  async getAccountInfo() {
+    /**
+     * Team details plus remaining credits
+     */
+    const [team, credits] = await Promise.all([
+      this.client.get('/team').then(response => response.data),
+      this.client.get('/team/credits').then(response => response.data)
+    ]);
+
+    return { success: true, team, credits };
+  }
+
+  async getAccountQuota(planned = {}) {
+    /**
+     * Derived view of what the plan still allows: enrichment credits, sending capacity and seats
+     * Pass plannedLeads / plannedEnrichments to get warnings before a large batch
+     */
+    const { plannedLeads = 0, plannedEnrichments = 0, creditsPerEnrichment = 1 } = planned;
+    const [{ team, credits }, members] = await Promise.all([
+      this.getAccountInfo(),
+      this.getTeamMembers().catch(() => [])
+    ]);
+
+    const remainingCredits = typeof credits?.credits === 'number'
+      ? credits.credits
+      : Object.values(credits?.details?.remaining || {}).reduce((sum, value) => sum + (Number(value) || 0), 0);
+
+    const memberList = Array.isArray(members) ? members : [];
+    const seatsTotal = team?.seats ?? team?.nbSeats ?? null;
+    const dailySendingLimit = team?.dailySendingLimit ?? team?.sendingLimit ?? null;
+
+    const quota = {
+      enrichmentCredits: {
+        remaining: remainingCredits,
+        breakdown: credits?.details?.remaining || null
+      },
+      sendingLimits: {
+        dailyLimit: dailySendingLimit
+      },
+      seats: {
+        used: memberList.length,
+        total: seatsTotal,
+        available: seatsTotal === null ? null : Math.max(seatsTotal - memberList.length, 0)
+      }
+    };
+
+    const warnings = [];
+    const creditsNeeded = plannedEnrichments * creditsPerEnrichment;
+    if (creditsNeeded > remainingCredits) {
+      warnings.push(`Planned enrichments need ${creditsNeeded} credits but only ${remainingCredits} remain`);
+    }
+    if (dailySendingLimit && plannedLeads > dailySendingLimit) {
+      warnings.push(`Planned ${plannedLeads} leads exceed the daily sending limit of ${dailySendingLimit}; first emails will take ${Math.ceil(plannedLeads / dailySendingLimit)} days to go out`);
+    }
+
+    return {
+      success: true,
+      quota,
+      planned: { plannedLeads, plannedEnrichments, creditsNeeded },
+      withinLimits: warnings.length === 0,
+      warnings,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // === TEMPLATES ===
+
+  async getTemplates(options = {}) {
+    const { limit = 100 } = options;
+    const response = await this.client.get('/templates', {
+      params: { limit }
+    });
+    return response.data;
+  }
+
+  async getTemplate(templateId) {
+    const response = await this.client.get(`/templates/${templateId}`);
+    return response.data;
+  }
+
+  async createTemplate(templateData) {
+    /**
+     * Create a template after checking its {{variable}} merge tags
+     * Templates with unknown or malformed tags are rejected before reaching the API
+     */
+    const { name, subject, body, variables = [] } = templateData;
+    const validation = validateTemplate({ subject, body, variables });
+
+    if (!validation.valid) {
       return {
-        success: true,
-        found: false,
-        data: response.data,
-        totalResults: 0,
-        message: 'No LinkedIn data found in schema response'
+        success: false,
+        error: 'Template has invalid merge tags',
+        validation
       };
-      
-    } catch (error) {
-      console.error(`[Lemlist API] Database search error:`, error.response?.status, error.message);
+    }
+
+    const response = await this.client.post('/templates', { name, subject, body, variables });
+    return {
+      success: true,
+      template: response.data,
+      validation
+    };
+  }
+
+  async previewTemplate(options = {}) {
+    /**
+     * Render a stored template (templateId) or an inline subject/body against a lead
+     */
+    const { templateId, lead = {}, variables = [] } = options;
+    let template = { subject: options.subject, body: options.body, variables };
+
+    if (templateId) {
+      const stored = await this.getTemplate(templateId);
+      template = {
+        subject: stored.subject,
+        body: stored.body,
+        variables: stored.variables || variables
+      };
+    }
+
+    if (!template.subject && !template.body) {
+      return { success: false, error: 'Provide a templateId or an inline subject/body to preview' };
+    }
+
+    const validation = validateTemplate(template, {
+      customFields: Object.keys(lead.customFields || {})
+    });
+    const rendered = renderTemplate(template, lead);
+
+    return {
+      success: true,
+      templateId: templateId || null,
+      rendered: { subject: rendered.subject, body: rendered.body },
+      missingValues: rendered.missingValues,
+      validation,
+      readyToSend: validation.valid && rendered.missingValues.length === 0
+    };
+  }
+
+  // === PEOPLE DATABASE SEARCH ===
+
+  async fetchPeoplePage(filters, page) {
+    // GET with a JSON body, as in the /schema/people API documentation
+    const response = await this.client.request({
+      method: 'GET',
+      url: '/schema/people',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      data: {
+        filters,
+        page
+      }
+    });
+    return readPeoplePage(response.data);
+  }
+
+  async searchPeople(filters = [], page = 1, options = {}) {
+    /**
+     * Search Lemlist's people database with filters
+     * Returns one page of normalized person records, or with paginateAll every page from
+     * `page` on until the matches run out or maxResults records are collected
+     */
+    const { paginateAll = false, maxResults = DEFAULT_PEOPLE_RESULTS } = options;
+    const cap = Math.min(maxResults, MAX_PEOPLE_RESULTS);
+
+    console.error(`[Lemlist API] Searching people database with filters:`, filters);
+
+    const people = [];
+    let total = 0;
+    let pageSize = null;
+    let seen = 0;
+    let current = page;
+    let pagesFetched = 0;
+    let hasMore = false;
+    let failure = null;
+
+    while (true) {
+      let result;
+      try {
+        result = await this.fetchPeoplePage(filters, current);
+      } catch (error) {
+        console.error(`[Lemlist API] Database search error:`, error.response?.status, error.message);
+        failure = error;
+        break;
+      }
+
+      pagesFetched += 1;
+      total = result.total;
+      pageSize = pageSize || result.pageSize || result.records.length;
+      seen = (page - 1) * pageSize + people.length + result.records.length;
+      people.push(...result.records.map(normalizePerson));
+
+      hasMore = result.records.length > 0 && seen < total;
+      if (!paginateAll || !hasMore || people.length >= cap) break;
+      current += 1;
+    }
+
+    if (failure && pagesFetched === 0) {
       return {
         success: false,
-        error: error.message,
-        statusCode: error.response?.status
+        error: failure.response?.data?.message || failure.message,
+        statusCode: failure.response?.status
       };
     }
+
+    return {
+      success: true,
+      found: people.length > 0,
+      people: people.slice(0, cap),
+      count: Math.min(people.length, cap),
+      total,
+      page,
+      pagesFetched,
+      // A failed later page keeps what was collected; nextPage retries it
+      nextPage: failure ? current : (hasMore ? current + 1 : null),
+      truncated: people.length > cap || (paginateAll && hasMore && !failure),
+      ...(failure ? { partial: true, error: failure.response?.data?.message || failure.message } : {}),
+      timestamp: new Date().toISOString()
+    };
   }
 
   async searchPersonByName(firstName, lastName, companyDomain = null) {
     /**
      * Search for a specific person in Lemlist's database
-     * Returns real LinkedIn URLs if available in database
+     * Returns real LinkedIn URLs if available in database (the first match that has one)
      */
-    
-    const filters = [];
-    
-    // Add name filters if provided
-    if (firstName) {
-      filters.push({
-        filterId: "firstName",
-        in: [firstName],
-        out: []
-      });
-    }
-    
-    if (lastName) {
-      filters.push({
-        filterId: "lastName", 
-        in: [lastName],
-        out: []
-      });
-    }
-    
-    if (companyDomain) {
-      filters.push({
-        filterId: "companyDomain",
-        in: [companyDomain],
-        out: []
-      });
+    const query = compilePeopleQuery({
+      firstName: firstName || undefined,
+      lastName: lastName || undefined,
+      companyDomain: companyDomain || undefined
+    });
+    if (!query.valid) {
+      return { success: false, error: `Invalid people search: ${query.errors.join('; ')}` };
     }
-    
+
     console.error(`[Lemlist API] Searching for ${firstName} ${lastName} at ${companyDomain}`);
-    
+
     try {
-      // Use GET with request body as shown in curl example
-      const response = await this.client.request({
-        method: 'GET',
-        url: '/schema/people',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        data: {
-          filters,
-          page: 1
-        }
-      });
-      
-      if (response.data && response.data.schema) {
-        const schema = response.data.schema;
-        const linkedinUrl = schema.lead_linkedin_url;
-        
+      const { records, total } = await this.fetchPeoplePage(query.filters, 1);
+      if (records.length === 0) {
         return {
           success: true,
-          found: !!linkedinUrl,
-          linkedinUrl: linkedinUrl,
-          linkedinShort: schema.linkedin_short,
-          companyLinkedInUrl: schema.experiences?.[0]?.company_linkedin_url,
-          fullData: schema,
-          totalResults: 1,
-          message: linkedinUrl ? `Found LinkedIn URL: ${linkedinUrl}` : 'Schema found but no LinkedIn URL'
+          found: false,
+          totalResults: total,
+          message: `No schema data found for ${firstName} ${lastName}`
         };
       }
-      
+
+      const match = records.find(record => record.lead_linkedin_url) || records[0];
+      const person = normalizePerson(match);
+
       return {
         success: true,
-        found: false,
-        message: `No schema data found for ${firstName} ${lastName}`
+        found: !!person.linkedinUrl,
+        linkedinUrl: person.linkedinUrl,
+        linkedinShort: person.linkedinShort,
+        companyLinkedInUrl: person.companyLinkedInUrl,
+        fullData: match,
+        totalResults: total,
+        message: person.linkedinUrl ? `Found LinkedIn URL: ${person.linkedinUrl}` : 'Schema found but no LinkedIn URL'
       };
-      
     } catch (error) {
       console.error(`[Lemlist API] People search error:`, error.message);
       return {
@@ -261,6 +844,62 @@ export class LemlistClient {
     }
   }
 
+  // === ENRICHMENT SANDBOX ===
+
+  getEnrichmentSandbox() {
+    /**
+     * The campaign enrichment leads are created in: ENRICHMENT_CAMPAIGN_ID, or the campaign named
+     * ENRICHMENT_CAMPAIGN_NAME (created on first use). It has no sequence and is kept paused;
+     * if it cannot be paused, enrichment refuses to add leads rather than risk emailing them.
+     * Concurrent callers share one check, repeated every ENRICHMENT_SANDBOX_CHECK_MS.
+     */
+    const cached = this.enrichmentSandbox;
+    if (cached && (cached.pending || Date.now() - cached.checkedAt < this.enrichmentSandboxCheckMs)) {
+      return cached.pending || Promise.resolve(cached.sandbox);
+    }
+
+    const pending = this.resolveEnrichmentSandbox().then(
+      (sandbox) => {
+        this.enrichmentSandbox = { sandbox, checkedAt: Date.now() };
+        return sandbox;
+      },
+      (error) => {
+        this.enrichmentSandbox = null;
+        throw error;
+      }
+    );
+    this.enrichmentSandbox = { pending };
+    return pending;
+  }
+
+  async resolveEnrichmentSandbox() {
+    const name = process.env.ENRICHMENT_CAMPAIGN_NAME || DEFAULT_SANDBOX_NAME;
+    let campaign;
+    let created = false;
+
+    if (process.env.ENRICHMENT_CAMPAIGN_ID) {
+      campaign = await this.getCampaign(process.env.ENRICHMENT_CAMPAIGN_ID);
+    } else {
+      const campaigns = await this.getAllCampaigns();
+      campaign = campaigns.find(entry => entry.name === name && !entry.archived);
+      if (!campaign) {
+        console.error(`[Lemlist API] Creating enrichment sandbox campaign "${name}"`);
+        campaign = await this.createCampaign({ name });
+        created = true;
+      }
+    }
+
+    if (campaign.status !== 'paused') {
+      try {
+        await this.pauseCampaign(campaign._id);
+      } catch (error) {
+        throw new Error(`Enrichment sandbox campaign ${campaign._id} could not be paused (${error.response?.data?.message || error.message}); refusing to add enrichment leads to it`);
+      }
+    }
+
+    return { campaignId: campaign._id, name: campaign.name || name, status: 'paused', created };
+  }
+
   // === LINKEDIN ENRICHMENT - THE MAIN FOCUS ===
 
   async enrichLeadWithLinkedIn(leadId) {
@@ -290,12 +929,15 @@ export class LemlistClient {
     };
   }
 
-  async getEnrichedLeadData(leadId) {
+  async getEnrichedLeadData(leadId, options = {}) {
     /**
      * Attempts to retrieve the enriched lead data with real LinkedIn URL
      * The lead_linkedin_url field contains the actual profile URL
+     * If the direct lookup fails, only the first 10 campaigns /campaigns returns are searched
+     * (searchCampaigns: false skips that, as the job poller does)
      */
-    
+    const { searchCampaigns = true } = options;
+
     try {
       // Check if lead exists directly
       const response = await this.client.get(`/leads/${leadId}`);
@@ -317,6 +959,10 @@ export class LemlistClient {
       };
       
     } catch (error) {
+      if (!searchCampaigns) {
+        return { success: false, leadId, error: error.response?.data?.message || error.message };
+      }
+
       // Try to find lead in campaigns
       const campaigns = await this.getCampaigns({ limit: 10 });
       
@@ -344,16 +990,19 @@ export class LemlistClient {
       return {
         success: false,
         leadId,
-        error: 'Lead not found or enrichment not complete'
+        error: 'Lead not found in its direct lookup or the first 10 campaigns, or enrichment not complete'
       };
     }
   }
 
-  async searchAndEnrichPerson(firstName, lastName, companyDomain) {
+  async searchAndEnrichPerson(firstName, lastName, companyDomain, options = {}) {
     /**
      * Creates a lead and enriches it to get real LinkedIn URL
      * This is the main workflow for finding someone's LinkedIn
+     * A lead created in the enrichment sandbox only exists for the enrichment (temporaryLead) and is
+     * deleted once harvested; one created in a caller's campaign is kept
      * 
+     * @param {object} options - campaignId to create the lead in (defaults to the enrichment sandbox)
      * @returns {object} Lead ID and enrichment ID for tracking
      */
     
@@ -364,13 +1013,11 @@ export class LemlistClient {
     }
 
     try {
-      // Get a campaign to add the lead to
-      const campaigns = await this.getCampaigns({ limit: 1 });
-      if (!campaigns || campaigns.length === 0) {
-        return { error: 'No campaigns available. Create a campaign first.' };
-      }
-      
-      const campaignId = campaigns[0]._id;
+      // Never a real campaign by default: the lead has a made-up email address
+      const sandboxCampaignId = options.campaignId
+        ? this.enrichmentSandbox?.sandbox?.campaignId || process.env.ENRICHMENT_CAMPAIGN_ID
+        : (await this.getEnrichmentSandbox()).campaignId;
+      const campaignId = options.campaignId || sandboxCampaignId;
       
       // Create the lead with a unique email to avoid duplicates
       // The email doesn't matter - enrichment will find the real LinkedIn
@@ -386,6 +1033,9 @@ export class LemlistClient {
         lastName,
         companyName: companyDomain.split('.')[0]
       });
+      if (!lead._id) {
+        return { error: lead.message || 'Lead could not be created', note: 'Could not create lead or start enrichment' };
+      }
       
       // Start enrichment immediately
       const enrichment = await this.enrichLeadWithLinkedIn(lead._id);
@@ -393,6 +1043,8 @@ export class LemlistClient {
       return {
         success: true,
         leadId: lead._id,
+        campaignId,
+        temporaryLead: campaignId === sandboxCampaignId,
         enrichmentId: enrichment.enrichmentId,
         message: 'Lead created and enrichment started. Check back for real LinkedIn URL.',
         checkDataWith: `getEnrichedLeadData('${lead._id}')`
@@ -406,35 +1058,268 @@ export class LemlistClient {
     }
   }
 
+  // === ACTIVITIES ===
+
+  async fetchActivities(options = {}) {
+    /**
+     * Page through /activities, keeping only entries inside the date window
+     * Stops once the API runs out or, as it lists newest first, a page reaches past dateFrom.
+     * Returns { activities, truncated }: truncated when maxResults activities or MAX_ACTIVITY_PAGES
+     * pages were reached before the end, so older matches may be missing
+     */
+    const { campaignId, leadId, type, dateFrom, dateTo, maxResults = MAX_ACTIVITIES } = options;
+    const activities = [];
+    const from = dateFrom ? new Date(dateFrom).getTime() : null;
+    let offset = 0;
+    let pages = 0;
+    let truncated = false;
+
+    while (true) {
+      if (activities.length >= maxResults || pages >= MAX_ACTIVITY_PAGES) {
+        truncated = true;
+        break;
+      }
+
+      const params = { limit: PAGE_SIZE, offset };
+      if (campaignId) params.campaignId = campaignId;
+      if (leadId) params.leadId = leadId;
+      if (type) params.type = type;
+
+      const response = await this.client.get('/activities', { params });
+      const page = Array.isArray(response.data) ? response.data : [];
+      pages += 1;
+
+      activities.push(...page.filter(activity => isWithinDateRange(activity.createdAt, dateFrom, dateTo)));
+      const reachedDateFrom = from !== null && page.some(activity => new Date(activity.createdAt).getTime() < from);
+      if (page.length < PAGE_SIZE || reachedDateFrom) break;
+      offset += PAGE_SIZE;
+    }
+
+    return {
+      activities: activities.slice(0, maxResults),
+      truncated: truncated || activities.length > maxResults
+    };
+  }
+
+  groupActivities(activities, groupBy = 'type') {
+    const keyOf = ACTIVITY_GROUP_KEYS[groupBy];
+    if (!keyOf) {
+      throw new Error(`Invalid groupBy "${groupBy}". Use one of: ${Object.keys(ACTIVITY_GROUP_KEYS).join(', ')}`);
+    }
+
+    const groups = {};
+    for (const activity of activities) {
+      const key = keyOf(activity);
+      groups[key] = groups[key] || { count: 0, activities: [] };
+      groups[key].count++;
+      groups[key].activities.push(activity);
+    }
+    return groups;
+  }
+
+  async getActivities(options = {}) {
+    /**
+     * Get the latest campaign activities (opens, clicks, replies, bounces...)
+     */
+    const { campaignId, leadId, type, limit = 100 } = options;
+    const { activities, truncated } = await this.fetchActivities({ campaignId, leadId, type, maxResults: limit });
+
+    return {
+      success: true,
+      activities,
+      totalFound: activities.length,
+      truncated,
+      filters: options
+    };
+  }
+
+  async getActivitiesWithFilters(filters = {}) {
+    /**
+     * Get activities inside a dateFrom/dateTo window, optionally grouped by type
+     * Only reads up to offset + limit matches; totalFound counts those, and truncated says more exist
+     */
+    const { campaignId, leadId, type, dateFrom, dateTo, limit = 100, offset = 0, grouped = false } = filters;
+    const { activities, truncated } = await this.fetchActivities({
+      campaignId, leadId, type, dateFrom, dateTo, maxResults: offset + limit
+    });
+    const pageOfActivities = activities.slice(offset, offset + limit);
+
+    return {
+      success: true,
+      ...(grouped ? { groups: this.groupActivities(pageOfActivities, 'type') } : { activities: pageOfActivities }),
+      returned: pageOfActivities.length,
+      totalFound: activities.length,
+      truncated,
+      filters: filters
+    };
+  }
+
+  async getActivityTypes() {
+    /**
+     * List the activity types accepted by the type filter
+     */
+    return {
+      success: true,
+      types: Object.entries(ACTIVITY_TYPES).map(([type, description]) => ({ type, description }))
+    };
+  }
+
+  async getGroupedActivities(campaignId, groupBy = 'type', options = {}) {
+    /**
+     * Get the activities of a campaign grouped by type, day (YYYY-MM-DD) or lead
+     * Reads the newest `limit` activities inside the optional dateFrom/dateTo window
+     */
+    const { dateFrom, dateTo, limit = DEFAULT_GROUPED_ACTIVITIES } = options;
+    const { activities, truncated } = await this.fetchActivities({ campaignId, dateFrom, dateTo, maxResults: limit });
+    const groups = this.groupActivities(activities, groupBy);
+
+    return {
+      success: true,
+      campaignId,
+      groupBy,
+      ...(dateFrom || dateTo ? { dateRange: { from: dateFrom || null, to: dateTo || null } } : {}),
+      totalActivities: activities.length,
+      truncated,
+      counts: Object.fromEntries(Object.entries(groups).map(([key, group]) => [key, group.count])),
+      groups,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // === WEBHOOKS ===
+
+  formatWebhook(hook) {
+    return {
+      webhookId: hook._id,
+      url: hook.targetUrl,
+      event: toWebhookEvent(hook.type) || hook.type || 'all',
+      campaignId: hook.campaignId || null,
+      createdAt: hook.createdAt
+    };
+  }
+
+  async getWebhooks() {
+    /**
+     * List configured webhooks
+     */
+    const response = await this.client.get('/hooks');
+    const hooks = Array.isArray(response.data) ? response.data : [];
+
+    return {
+      success: true,
+      webhooks: hooks.map(hook => this.formatWebhook(hook)),
+      totalFound: hooks.length
+    };
+  }
+
+  async createWebhook(webhookData) {
+    /**
+     * Lemlist hooks carry a single event type, so one hook is created per requested event
+     */
+    const { url, events = [], active = true, campaignId } = webhookData;
+
+    const unknownEvents = events.filter(event => !WEBHOOK_EVENT_TYPES[event]);
+    if (unknownEvents.length > 0) {
+      return {
+        success: false,
+        error: `Unsupported events: ${unknownEvents.join(', ')}`,
+        supportedEvents: Object.keys(WEBHOOK_EVENT_TYPES)
+      };
+    }
+
+    if (!active) {
+      return { success: false, error: 'Lemlist webhooks cannot be created inactive. Omit active or set it to true.' };
+    }
+
+    const webhooks = [];
+    for (const event of events) {
+      const payload = { targetUrl: url, type: WEBHOOK_EVENT_TYPES[event] };
+      if (campaignId) payload.campaignId = campaignId;
+
+      const response = await this.client.post('/hooks', payload);
+      webhooks.push(this.formatWebhook(response.data));
+    }
+
+    return { success: true, webhooks, created: webhooks.length };
+  }
+
+  async updateWebhook(webhookId, updateData = {}) {
+    /**
+     * Lemlist has no update endpoint for hooks: the hook is deleted and recreated
+     * Setting active to false simply removes it
+     */
+    const { webhooks } = await this.getWebhooks();
+    const existing = webhooks.find(hook => hook.webhookId === webhookId);
+    if (!existing) {
+      return { success: false, webhookId, error: 'Webhook not found' };
+    }
+
+    const events = updateData.events || [existing.event];
+    const unknownEvents = events.filter(event => !WEBHOOK_EVENT_TYPES[event]);
+    if (updateData.active !== false && unknownEvents.length > 0) {
+      return {
+        success: false,
+        webhookId,
+        error: `Unsupported events: ${unknownEvents.join(', ')}`,
+        supportedEvents: Object.keys(WEBHOOK_EVENT_TYPES)
+      };
+    }
+
+    await this.deleteWebhook(webhookId);
+    if (updateData.active === false) {
+      return { success: true, webhookId, deactivated: true, message: 'Webhook removed (inactive)' };
+    }
+
+    const recreated = await this.createWebhook({
+      url: updateData.url || existing.url,
+      events,
+      campaignId: existing.campaignId || undefined
+    });
+
+    return { ...recreated, replacedWebhookId: webhookId };
+  }
+
+  async deleteWebhook(webhookId) {
+    await this.client.delete(`/hooks/${webhookId}`);
+    return { success: true, webhookId, message: 'Webhook deleted successfully' };
+  }
+
   // === ADVANCED SEARCH & ANALYTICS ===
 
   async searchLeadsAdvanced(filters = {}) {
     /**
      * Advanced lead search with filters
-     * Useful for finding leads matching specific criteria
+     * Like searchCampaigns, every lead is fetched and filtered here: names and company match
+     * case-insensitively as substrings, email, status and custom fields must match exactly
      */
-    
-    const { campaignId, status, country, industry, company, limit = 100, offset = 0 } = filters;
-    
-    let url = '/leads';
-    if (campaignId) {
-      url = `/campaigns/${campaignId}/leads`;
+    const {
+      campaignId, email, firstName, lastName, companyName, status,
+      dateFrom, dateTo, customFields = {}, limit = 100, offset = 0
+    } = filters;
+
+    const leads = [];
+    for (let page = 0; ; page += PAGE_SIZE) {
+      const batch = await this.getLeads({ campaignId, limit: PAGE_SIZE, offset: page });
+      if (!Array.isArray(batch) || batch.length === 0) break;
+
+      leads.push(...batch);
+      if (batch.length < PAGE_SIZE) break;
     }
-    
-    const params = { limit, offset };
-    
-    // Add filters if provided
-    if (status) params.status = status;
-    if (country) params.country = country;
-    if (industry) params.industry = industry;
-    if (company) params.company = company;
-    
-    const response = await this.client.get(url, { params });
-    
+
+    const contains = (value, query) => !query || String(value || '').toLowerCase().includes(query.toLowerCase());
+    const matches = leads.filter(lead => {
+      if (email && lead.email?.toLowerCase() !== email.toLowerCase()) return false;
+      if (!contains(lead.firstName, firstName) || !contains(lead.lastName, lastName)) return false;
+      if (!contains(lead.companyName, companyName)) return false;
+      if (status && lead.status !== status) return false;
+      if (Object.entries(customFields).some(([field, value]) => lead[field] !== value)) return false;
+      return isWithinDateRange(lead.createdAt, dateFrom, dateTo);
+    });
+
     return {
       success: true,
-      leads: response.data,
-      totalFound: response.data.length,
+      leads: matches.slice(offset, offset + limit),
+      totalFound: matches.length,
       filters: filters
     };
   }
@@ -486,6 +1371,105 @@ export class LemlistClient {
     }
   }
 
+  async getDetailedCampaignStats(campaignId, options = {}) {
+    /**
+     * Campaign stats computed from activities inside a dateFrom/dateTo window,
+     * with a per-step breakdown (email 1, email 2, LinkedIn step...)
+     * Rates are percentages of the step's sends
+     */
+    const {
+      dateFrom,
+      dateTo,
+      includeLeadStats = true,
+      includeEmailStats = true,
+      includeLinkedInStats = false
+    } = options;
+
+    console.error(`[Lemlist API] Getting detailed stats for campaign ${campaignId}`);
+
+    const { activities, truncated } = await this.fetchActivities({ campaignId, dateFrom, dateTo });
+    const steps = {};
+    const leadsByCounter = {};
+
+    for (const activity of activities) {
+      const isEmail = EMAIL_STEP_COUNTERS[activity.type];
+      const counter = EMAIL_STEP_COUNTERS[activity.type] || LINKEDIN_STEP_COUNTERS[activity.type];
+      if (!counter) continue;
+
+      const channel = isEmail ? 'email' : 'linkedin';
+      const stepNumber = Number.isInteger(activity.sequenceStep) ? activity.sequenceStep + 1 : null;
+      const key = `${channel}:${stepNumber ?? 'unknown'}`;
+
+      if (!steps[key]) {
+        const counters = isEmail ? EMAIL_STEP_COUNTERS : LINKEDIN_STEP_COUNTERS;
+        steps[key] = {
+          channel,
+          step: stepNumber,
+          label: `${channel === 'email' ? 'Email' : 'LinkedIn step'} ${stepNumber ?? '(unknown)'}`,
+          counts: Object.fromEntries(Object.values(counters).map(name => [name, 0]))
+        };
+      }
+      steps[key].counts[counter]++;
+
+      const leadKey = activity.leadId || activity.leadEmail;
+      if (leadKey) {
+        leadsByCounter[`${channel}:${counter}`] = leadsByCounter[`${channel}:${counter}`] || new Set();
+        leadsByCounter[`${channel}:${counter}`].add(leadKey);
+      }
+    }
+
+    const sortedSteps = Object.values(steps).sort((a, b) => (a.step ?? Infinity) - (b.step ?? Infinity));
+    const sumCounts = (channel) => sortedSteps
+      .filter(step => step.channel === channel)
+      .reduce((totals, step) => {
+        for (const [name, value] of Object.entries(step.counts)) totals[name] = (totals[name] || 0) + value;
+        return totals;
+      }, {});
+    const uniqueLeads = (...keys) => new Set(keys.flatMap(key => [...(leadsByCounter[key] || [])])).size;
+
+    const result = {
+      success: true,
+      campaignId,
+      dateRange: { from: dateFrom || null, to: dateTo || null },
+      totalActivities: activities.length,
+      truncated
+    };
+
+    if (includeEmailStats) {
+      result.emailStats = {
+        totals: withEmailRates({ sent: 0, opened: 0, clicked: 0, replied: 0, bounced: 0, unsubscribed: 0, ...sumCounts('email') }),
+        steps: sortedSteps
+          .filter(step => step.channel === 'email')
+          .map(({ counts, ...step }) => ({ ...step, ...withEmailRates(counts) }))
+      };
+    }
+
+    if (includeLinkedInStats) {
+      result.linkedinStats = {
+        totals: withLinkedInRates({ visits: 0, invitesSent: 0, invitesAccepted: 0, messagesSent: 0, replied: 0, ...sumCounts('linkedin') }),
+        steps: sortedSteps
+          .filter(step => step.channel === 'linkedin')
+          .map(({ counts, ...step }) => ({ ...step, ...withLinkedInRates(counts) }))
+      };
+    }
+
+    if (includeLeadStats) {
+      const contacted = uniqueLeads('email:sent');
+      result.leadStats = {
+        contactedLeads: contacted,
+        openedLeads: uniqueLeads('email:opened'),
+        clickedLeads: uniqueLeads('email:clicked'),
+        repliedLeads: uniqueLeads('email:replied', 'linkedin:replied'),
+        bouncedLeads: uniqueLeads('email:bounced'),
+        unsubscribedLeads: uniqueLeads('email:unsubscribed'),
+        leadReplyRate: percentage(uniqueLeads('email:replied'), contacted)
+      };
+    }
+
+    result.timestamp = new Date().toISOString();
+    return result;
+  }
+
   async exportLeads(campaignId, options = {}) {
     /**
      * Export leads from campaign for analysis
@@ -526,7 +1510,7 @@ export class LemlistClient {
         format,
         totalLeads: exportData.length,
         exportedAt: new Date().toISOString(),
-        data: exportData
+        data: format === 'csv' ? toCsv(exportData) : exportData
       };
       
     } catch (error) {
@@ -544,11 +1528,15 @@ export class LemlistClient {
      * Great for comparing lead generation performance
      */
     
+    const { dateFrom, dateTo } = options;
     const results = {};
     
     for (const campaignId of campaignIds) {
       try {
-        const stats = await this.getCampaignStats(campaignId);
+        // A date window can only be honored by computing stats from activities
+        const stats = dateFrom || dateTo
+          ? await this.getDetailedCampaignStats(campaignId, { dateFrom, dateTo })
+          : await this.getCampaignStats(campaignId);
         results[campaignId] = stats;
       } catch (error) {
         results[campaignId] = {
@@ -561,6 +1549,7 @@ export class LemlistClient {
     return {
       success: true,
       totalCampaigns: campaignIds.length,
+      dateRange: { from: dateFrom || null, to: dateTo || null },
       results,
       timestamp: new Date().toISOString()
     };
@@ -572,6 +1561,18 @@ export class LemlistClient {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
+  async waitForRateLimit() {
+    return this.rateLimiter.acquire();
+  }
+
+  async getRateLimitStatus() {
+    return {
+      success: true,
+      ...this.rateLimiter.getStatus(),
+      timestamp: new Date().toISOString()
+    };
+  }
+
   async healthCheck() {
     try {
       const campaigns = await this.getCampaigns({ limit: 1 });
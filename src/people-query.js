@@ -0,0 +1,151 @@
+/**
+ * People Search Query Builder
+ * Compiles convenience criteria (title keywords, seniority, company size range, ...) and raw
+ * filters into the { filterId, in, out } list /schema/people expects, checking filterIds and
+ * values against the filter catalog first. Only verified filters can reject a value; raw
+ * filterIds outside the catalog and values outside an unverified list pass through with a warning
+ */
+
+import { PEOPLE_FILTERS, getPeopleFilter, isVerifiedFilter } from './people-search.js';
+
+// Convenience criteria that map one-to-one onto a catalog filter
+export const QUERY_CRITERIA = {
+  titleKeywords: 'currentTitle',
+  seniority: 'seniority',
+  department: 'department',
+  country: 'country',
+  location: 'location',
+  industry: 'industry',
+  companyName: 'companyName',
+  companyDomain: 'companyDomain',
+  firstName: 'firstName',
+  lastName: 'lastName'
+};
+
+const COMPANY_SIZES = getPeopleFilter('companySize').values.map(value => {
+  const [min, max] = value.replace('+', '-').split('-');
+  return { value, min: Number(min), max: max ? Number(max) : Infinity };
+});
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+function addValues(compiled, filter, side, values, path, errors, warnings) {
+  /**
+   * Check each value against the filter's type and add it to the in/out side
+   * Enum values are matched case-insensitively and stored in their catalog spelling; a value
+   * outside the list is an error for a verified filter and a warning (sent as given) otherwise
+   */
+  if (!compiled.has(filter.filterId)) {
+    compiled.set(filter.filterId, { filterId: filter.filterId, in: [], out: [] });
+  }
+  const entry = compiled.get(filter.filterId);
+
+  toList(values).forEach((value, index) => {
+    const at = Array.isArray(values) ? `${path}.${index}` : path;
+    if (typeof value !== 'string' || value.trim() === '') {
+      errors.push(`${at} must be a non-empty string`);
+      return;
+    }
+
+    let normalized = value.trim();
+    if (filter.type === 'enum') {
+      const known = filter.values.find(allowed => allowed.toLowerCase() === normalized.toLowerCase());
+      if (known) {
+        normalized = known;
+      } else if (isVerifiedFilter(filter)) {
+        errors.push(`${at} must be one of: ${filter.values.join(', ')}`);
+        return;
+      } else {
+        warnings.push(`${at} ${normalized} is not in the unverified ${filter.filterId} list (${filter.values.join(', ')}); sent as is`);
+      }
+    }
+
+    if (!entry[side].some(existing => existing.toLowerCase() === normalized.toLowerCase())) {
+      entry[side].push(normalized);
+    }
+  });
+}
+
+function companySizesFor(range, side, path, errors) {
+  /**
+   * Headcount buckets for a { min, max } range: included buckets only need to overlap it,
+   * excluded ones must lie entirely inside it so no wanted size is dropped
+   */
+  const { min = 0, max = Infinity } = range || {};
+  if (!range || typeof range !== 'object' || Array.isArray(range) ||
+      typeof min !== 'number' || typeof max !== 'number' || min < 0 || min > max) {
+    errors.push(`${path} must be { min, max } with 0 <= min <= max`);
+    return [];
+  }
+
+  const sizes = COMPANY_SIZES.filter(size => (side === 'in'
+    ? size.min <= max && size.max >= min
+    : size.min >= min && size.max <= max));
+  if (side === 'in' && sizes.length === 0) {
+    errors.push(`${path} matches no company size`);
+  }
+  return sizes.map(size => size.value);
+}
+
+function addCriteria(compiled, criteria, side, path, errors, warnings) {
+  for (const [name, value] of Object.entries(criteria)) {
+    if (value === undefined) continue;
+
+    if (name === 'companySize') {
+      const sizes = companySizesFor(value, side, `${path}companySize`, errors);
+      addValues(compiled, getPeopleFilter('companySize'), side, sizes, `${path}companySize`, errors, warnings);
+    } else if (QUERY_CRITERIA[name]) {
+      addValues(compiled, getPeopleFilter(QUERY_CRITERIA[name]), side, value, `${path}${name}`, errors, warnings);
+    } else {
+      errors.push(`${path}${name} is not a known criterion`);
+    }
+  }
+}
+
+export function compilePeopleQuery(query = {}) {
+  /**
+   * Build the /schema/people filter list from criteria, `exclude` criteria and raw `filters`
+   * Returns { valid, filters, errors, warnings } like validateToolArguments; nothing is sent when
+   * invalid. Catalog gaps (unknown raw filterIds, values outside unverified lists) only warn
+   */
+  const { filters = [], exclude = {}, ...criteria } = query;
+  const compiled = new Map();
+  const errors = [];
+  const warnings = [];
+
+  addCriteria(compiled, criteria, 'in', '', errors, warnings);
+  addCriteria(compiled, exclude, 'out', 'exclude.', errors, warnings);
+
+  filters.forEach((raw, index) => {
+    if (typeof raw?.filterId !== 'string' || raw.filterId.trim() === '') {
+      errors.push(`filters.${index}.filterId must be a non-empty string`);
+      return;
+    }
+    let filter = getPeopleFilter(raw.filterId);
+    if (!filter) {
+      warnings.push(`filters.${index}.filterId ${raw.filterId} is not in the filter catalog (known: ${PEOPLE_FILTERS.map(entry => entry.filterId).join(', ')}); sent as is`);
+      filter = { filterId: raw.filterId, type: 'text' };
+    }
+    for (const side of ['in', 'out']) {
+      if (raw[side] === undefined) continue;
+      if (!Array.isArray(raw[side])) {
+        errors.push(`filters.${index}.${side} must be an array`);
+        continue;
+      }
+      addValues(compiled, filter, side, raw[side], `filters.${index}.${side}`, errors, warnings);
+    }
+  });
+
+  for (const entry of compiled.values()) {
+    const excluded = entry.out.map(value => value.toLowerCase());
+    const conflicts = entry.in.filter(value => excluded.includes(value.toLowerCase()));
+    if (conflicts.length > 0) {
+      errors.push(`${entry.filterId} both includes and excludes: ${conflicts.join(', ')}`);
+    }
+  }
+
+  const compiledFilters = [...compiled.values()].filter(entry => entry.in.length > 0 || entry.out.length > 0);
+  return { valid: errors.length === 0, filters: compiledFilters, errors, warnings };
+}
@@ -0,0 +1,104 @@
+/**
+ * People Database Search
+ * Filter catalog for Lemlist's /schema/people endpoint and normalization of its responses
+ * into flat person records
+ *
+ * Source: the /schema/people example in the Lemlist API reference, a GET whose JSON body is
+ * { filters: [{ filterId, in, out }], page } and whose response carries the matches under `schema`
+ */
+
+export const DEFAULT_PEOPLE_RESULTS = 500;
+export const MAX_PEOPLE_RESULTS = 2500;
+
+// Filters for /schema/people. The API has no catalog endpoint, so this list is kept by hand and
+// only the filterIds of the API reference example are `verified`. The other filterIds and every
+// enum value list are unverified guesses, reported as such by get_people_filters. Raw filters
+// outside the list, and values outside an unverified enum list, are still sent with a warning
+// (see compilePeopleQuery)
+export const PEOPLE_FILTERS = [
+  { filterId: 'firstName', type: 'text', verified: true, description: 'First name' },
+  { filterId: 'lastName', type: 'text', verified: true, description: 'Last name' },
+  { filterId: 'currentTitle', type: 'text', description: 'Current job title keywords (e.g. "head of sales")' },
+  {
+    filterId: 'seniority',
+    type: 'enum',
+    description: 'Seniority of the current position',
+    values: ['owner', 'founder', 'c_suite', 'partner', 'vp', 'head', 'director', 'manager', 'senior', 'entry', 'intern']
+  },
+  {
+    filterId: 'department',
+    type: 'enum',
+    description: 'Department of the current position',
+    values: [
+      'engineering', 'sales', 'marketing', 'product', 'design', 'finance', 'human_resources', 'operations',
+      'customer_success', 'legal', 'information_technology', 'consulting', 'education', 'medical'
+    ]
+  },
+  { filterId: 'country', type: 'text', description: 'Country of the person (English name, e.g. "France")' },
+  { filterId: 'location', type: 'text', description: 'City or region of the person' },
+  { filterId: 'companyName', type: 'text', description: 'Current company name' },
+  { filterId: 'companyDomain', type: 'text', verified: true, description: 'Current company website domain (e.g. hyro.ai)' },
+  { filterId: 'industry', type: 'text', description: 'Industry of the current company (e.g. "Computer Software")' },
+  {
+    filterId: 'companySize',
+    type: 'enum',
+    description: 'Headcount range of the current company',
+    values: ['1-10', '11-50', '51-200', '201-500', '501-1000', '1001-5000', '5001-10000', '10001+']
+  }
+];
+
+export function isVerifiedFilter(filter) {
+  return filter?.verified === true;
+}
+
+export function getPeopleFilter(filterId) {
+  return PEOPLE_FILTERS.find(filter => filter.filterId === filterId) || null;
+}
+
+export function readPeoplePage(body) {
+  /**
+   * Records, total match count and page size from one /schema/people response
+   * `schema` holds one record or a list of them, with optional numeric `total` and `size`.
+   * Any other shape is an error rather than an empty page, so a format change is not read as "no match"
+   */
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw Object.assign(new Error('Unexpected /schema/people response: expected an object with `schema`'), { status: 502 });
+  }
+  if (!('schema' in body)) {
+    throw Object.assign(
+      new Error(`Unexpected /schema/people response: no \`schema\` field (got ${Object.keys(body).join(', ') || 'no fields'})`),
+      { status: 502 }
+    );
+  }
+
+  const { schema, total, size } = body;
+  const records = Array.isArray(schema) ? schema : (schema ? [schema] : []);
+
+  return {
+    records,
+    total: Number.isFinite(total) ? total : records.length,
+    pageSize: Number.isFinite(size) ? size : null
+  };
+}
+
+export function normalizePerson(record = {}) {
+  const current = record.experiences?.[0] || {};
+  const fullName = record.full_name || [record.first_name, record.last_name].filter(Boolean).join(' ');
+
+  return {
+    leadId: record.lead_id || record._id || null,
+    fullName: fullName || null,
+    firstName: record.first_name || null,
+    lastName: record.last_name || null,
+    title: record.title || current.title || null,
+    companyName: current.company_name || record.company_name || null,
+    companyDomain: current.company_domain || record.company_domain || null,
+    companyLinkedInUrl: current.company_linkedin_url || null,
+    industry: current.company_industry || record.industry || null,
+    location: record.location || null,
+    country: record.country || null,
+    linkedinUrl: record.lead_linkedin_url || null,
+    linkedinShort: record.linkedin_short || null,
+    summary: record.summary || null
+  };
+}
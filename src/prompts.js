@@ -0,0 +1,158 @@
+/**
+ * MCP Prompt Catalog for common outreach workflows
+ * Each prompt pulls live data from LemlistClient into its messages, and declares the tools
+ * returning that data so tenants only see prompts their token may run
+ */
+
+const DEFAULT_SEQUENCE_STEPS = 3;
+const MAX_SEQUENCE_STEPS = 10;
+
+async function fetchSection(title, load) {
+  // Live data is best-effort: a failed fetch becomes a note instead of failing the prompt
+  try {
+    const data = await load();
+    return `## ${title}\n\`\`\`json\n${JSON.stringify(data, null, 2)}\n\`\`\``;
+  } catch (error) {
+    return `## ${title}\n(Could not load: ${error.response?.data?.message || error.message})`;
+  }
+}
+
+function parseSteps(value) {
+  // Anything but a whole number of steps in range falls back to the default
+  const steps = Number(value);
+  return Number.isInteger(steps) && steps >= 1 && steps <= MAX_SEQUENCE_STEPS ? steps : DEFAULT_SEQUENCE_STEPS;
+}
+
+function userMessage(text) {
+  return { role: 'user', content: { type: 'text', text } };
+}
+
+const PROMPTS = [
+  {
+    name: 'draft_sequence',
+    description: 'Draft a multi-step email sequence for a persona, using existing templates as style reference',
+    arguments: [
+      { name: 'persona', description: 'Who the sequence targets (e.g. "VP Sales at Series B SaaS")', required: true },
+      { name: 'product', description: 'What is being pitched', required: false },
+      { name: 'steps', description: `Number of emails, 1-${MAX_SEQUENCE_STEPS} (default ${DEFAULT_SEQUENCE_STEPS})`, required: false },
+      { name: 'tone', description: 'Tone of voice (default: concise and friendly)', required: false }
+    ],
+    tools: ['get_templates'],
+    async build(client, args) {
+      const steps = parseSteps(args.steps);
+      const templates = await fetchSection('Existing templates (style reference)', async () => {
+        const data = await client.getTemplates({ limit: 5 });
+        return (Array.isArray(data) ? data : []).map(({ name, subject, body }) => ({ name, subject, body }));
+      });
+
+      return {
+        description: `${steps}-step sequence for ${args.persona}`,
+        messages: [userMessage([
+          `Draft a ${steps}-step cold email sequence for this persona: ${args.persona}.`,
+          args.product ? `Product / offer: ${args.product}.` : '',
+          `Tone: ${args.tone || 'concise and friendly'}.`,
+          'For each step give subject, body and delay in days. Use only these merge tags: {{firstName}}, {{lastName}}, {{companyName}}.',
+          'Check each step with preview_template before proposing create_complete_campaign.',
+          '',
+          templates
+        ].filter(line => line !== '').join('\n'))]
+      };
+    }
+  },
+  {
+    name: 'diagnose_campaign',
+    description: 'Diagnose why a campaign underperforms from its live stats and per-step breakdown',
+    arguments: [
+      { name: 'campaignId', description: 'Campaign to diagnose', required: true },
+      { name: 'dateFrom', description: 'Start of the analysis window (ISO date)', required: false },
+      { name: 'dateTo', description: 'End of the analysis window (ISO date)', required: false }
+    ],
+    tools: ['get_campaign', 'get_detailed_campaign_stats'],
+    async build(client, args) {
+      const campaign = await fetchSection('Campaign', () => client.getCampaign(args.campaignId));
+      const stats = await fetchSection('Stats per step', () => client.getDetailedCampaignStats(args.campaignId, {
+        dateFrom: args.dateFrom,
+        dateTo: args.dateTo,
+        includeLinkedInStats: true
+      }));
+
+      return {
+        description: `Diagnosis of campaign ${args.campaignId}`,
+        messages: [userMessage([
+          `Diagnose why campaign ${args.campaignId} underperforms.`,
+          'Compare each step against typical cold outreach ranges (open 40-60%, reply 3-10%, bounce under 3%).',
+          'Point out the weakest step, likely causes (deliverability, subject line, targeting, copy, timing) and concrete fixes.',
+          '',
+          campaign,
+          '',
+          stats
+        ].join('\n'))]
+      };
+    }
+  },
+  {
+    name: 'clean_and_import_leads',
+    description: 'Clean a lead list with validate_lead_data and plan its import into a campaign',
+    arguments: [
+      { name: 'campaignId', description: 'Campaign to import into', required: true },
+      { name: 'leads', description: 'JSON array of leads (email, firstName, lastName, companyName)', required: true }
+    ],
+    tools: ['get_campaign', 'validate_lead_data', 'bulk_add_leads'],
+    async build(client, args) {
+      let leads;
+      try {
+        leads = JSON.parse(args.leads);
+      } catch (error) {
+        throw new Error(`leads must be a JSON array: ${error.message}`);
+      }
+      if (!Array.isArray(leads)) {
+        throw new Error('leads must be a JSON array');
+      }
+
+      const campaign = await fetchSection('Target campaign', () => client.getCampaign(args.campaignId));
+      const validation = await fetchSection('Validation report', () => client.validateLeadData(leads));
+
+      return {
+        description: `Clean and import ${leads.length} leads`,
+        messages: [userMessage([
+          `Clean this list of ${leads.length} leads and import it into campaign ${args.campaignId}.`,
+          'Fix what can be fixed (casing, whitespace), drop rows with errors, and flag role addresses for review.',
+          'Then call bulk_add_leads with the cleaned rows and report suppressed or rejected emails.',
+          '',
+          campaign,
+          '',
+          validation,
+          '',
+          `## Leads\n\`\`\`json\n${JSON.stringify(leads, null, 2)}\n\`\`\``
+        ].join('\n'))]
+      };
+    }
+  }
+];
+
+export function listPrompts(canUseTool = () => true) {
+  return {
+    prompts: PROMPTS.filter(prompt => prompt.tools.every(canUseTool)).map(({ name, description, arguments: promptArguments }) => ({
+      name,
+      description,
+      arguments: promptArguments
+    }))
+  };
+}
+
+export async function getPrompt(client, name, args = {}, canUseTool = () => true) {
+  const prompt = PROMPTS.find(entry => entry.name === name);
+  if (!prompt) {
+    throw new Error(`Unknown prompt: ${name}`);
+  }
+  if (!prompt.tools.every(canUseTool)) {
+    throw Object.assign(new Error(`Prompt ${name} is not allowed for this token`), { status: 403 });
+  }
+
+  const missing = prompt.arguments.filter(argument => argument.required && !args[argument.name]);
+  if (missing.length > 0) {
+    throw new Error(`Missing required arguments: ${missing.map(argument => argument.name).join(', ')}`);
+  }
+
+  return await prompt.build(client, args);
+}
@@ -0,0 +1,112 @@
+/**
+ * Token Bucket Rate Limiter
+ * Queues outgoing Lemlist API requests so we stay under RATE_LIMIT_REQUESTS per RATE_LIMIT_WINDOW_MS,
+ * and pauses the queue when Lemlist's rate-limit headers say the budget is spent
+ */
+
+function parseResetHeader(value, now) {
+  const number = Number(value);
+  if (!value || Number.isNaN(number)) return null;
+
+  // Lemlist may send an epoch timestamp (seconds or ms) or a delay in seconds
+  if (number > 1e12) return number;
+  if (number > 1e9) return number * 1000;
+  return now + number * 1000;
+}
+
+export class RateLimiter {
+  constructor(options = {}) {
+    this.maxRequests = options.maxRequests || 100;
+    this.windowMs = options.windowMs || 60000;
+    this.tokens = this.maxRequests;
+    this.lastRefill = Date.now();
+    this.blockedUntil = 0;
+    this.queue = [];
+    this.timer = null;
+    this.serverLimits = { limit: null, remaining: null, resetAt: null };
+  }
+
+  refill() {
+    const now = Date.now();
+    const refillRate = this.maxRequests / this.windowMs;
+    this.tokens = Math.min(this.maxRequests, this.tokens + (now - this.lastRefill) * refillRate);
+    this.lastRefill = now;
+  }
+
+  acquire() {
+    return new Promise(resolve => {
+      this.queue.push(resolve);
+      this.drain();
+    });
+  }
+
+  drain() {
+    this.refill();
+
+    while (this.queue.length > 0 && this.tokens >= 1 && Date.now() >= this.blockedUntil) {
+      this.tokens -= 1;
+      this.queue.shift()();
+    }
+
+    if (this.queue.length > 0 && !this.timer) {
+      const tokenWait = Math.ceil((1 - this.tokens) * this.windowMs / this.maxRequests);
+      const wait = Math.max(tokenWait, this.blockedUntil - Date.now(), 1);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, wait);
+    }
+  }
+
+  updateFromHeaders(headers = {}) {
+    /**
+     * Sync with the budget Lemlist reports (X-RateLimit-* and Retry-After)
+     */
+    const now = Date.now();
+    const limit = headers['x-ratelimit-limit'];
+    const remaining = headers['x-ratelimit-remaining'];
+    const resetAt = parseResetHeader(headers['x-ratelimit-reset'], now);
+    const retryAfter = parseResetHeader(headers['retry-after'], now);
+
+    if (limit !== undefined) this.serverLimits.limit = Number(limit);
+    if (remaining !== undefined) this.serverLimits.remaining = Number(remaining);
+    if (resetAt) this.serverLimits.resetAt = new Date(resetAt).toISOString();
+
+    if (remaining !== undefined && Number(remaining) <= 0 && resetAt) {
+      this.blockUntil(resetAt);
+    }
+    if (retryAfter) {
+      this.blockUntil(retryAfter);
+    }
+  }
+
+  blockUntil(timestamp) {
+    if (timestamp <= this.blockedUntil) return;
+    this.blockedUntil = timestamp;
+
+    // Re-arm the timer so queued requests wait for the new reset time
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.queue.length > 0) this.drain();
+  }
+
+  getStatus() {
+    this.refill();
+    const now = Date.now();
+    const nextTokenMs = this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) * this.windowMs / this.maxRequests);
+
+    return {
+      limit: {
+        maxRequests: this.maxRequests,
+        windowMs: this.windowMs
+      },
+      availableRequests: Math.floor(this.tokens),
+      queueDepth: this.queue.length,
+      blocked: now < this.blockedUntil,
+      resetAt: new Date(Math.max(now + nextTokenMs, this.blockedUntil)).toISOString(),
+      server: this.serverLimits
+    };
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * MCP Resources backed by LemlistClient
+ * Lets assistants attach campaign context (details, leads, stats) without tool calls
+ */
+
+export const CAMPAIGNS_URI = 'lemlist://campaigns';
+
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'lemlist://campaigns/{campaignId}',
+    name: 'Campaign',
+    description: 'Campaign details and settings',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: 'lemlist://campaigns/{campaignId}/leads',
+    name: 'Campaign leads',
+    description: 'Leads in a campaign (first 100)',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: 'lemlist://campaigns/{campaignId}/stats',
+    name: 'Campaign stats',
+    description: 'Campaign performance statistics',
+    mimeType: 'application/json'
+  }
+];
+
+// Tool whose permission guards each kind of resource (tenant scopes apply to resources too)
+export const RESOURCE_TOOLS = {
+  campaigns: 'get_campaigns',
+  campaign: 'get_campaign',
+  leads: 'get_leads',
+  stats: 'get_campaign_stats'
+};
+
+const RESOURCE_READERS = {
+  campaigns: (client) => client.getCampaigns(),
+  campaign: (client, campaignId) => client.getCampaign(campaignId),
+  leads: (client, campaignId) => client.getLeads({ campaignId, limit: 100 }),
+  stats: (client, campaignId) => client.getCampaignStats(campaignId)
+};
+
+export function parseResourceUri(uri) {
+  if (uri === CAMPAIGNS_URI) return { kind: 'campaigns' };
+
+  const match = /^lemlist:\/\/campaigns\/([^/]+)(?:\/(leads|stats))?$/.exec(uri);
+  if (!match) return null;
+
+  return {
+    kind: match[2] || 'campaign',
+    campaignId: decodeURIComponent(match[1])
+  };
+}
+
+export function campaignResourceUris(campaignId) {
+  const base = `${CAMPAIGNS_URI}/${encodeURIComponent(campaignId)}`;
+  return [CAMPAIGNS_URI, base, `${base}/leads`, `${base}/stats`];
+}
+
+export function listResourceTemplates(canRead = () => true) {
+  return {
+    resourceTemplates: RESOURCE_TEMPLATES.filter(template => canRead(parseResourceUri(template.uriTemplate).kind))
+  };
+}
+
+export async function listResources(client, canRead = () => true) {
+  /**
+   * The campaigns index plus one entry per campaign, limited to the kinds canRead allows
+   * Listing still works (index only) if the campaign fetch fails
+   */
+  const resources = [];
+  if (canRead('campaigns')) {
+    resources.push({
+      uri: CAMPAIGNS_URI,
+      name: 'Campaigns',
+      description: 'All Lemlist campaigns',
+      mimeType: 'application/json'
+    });
+  }
+  if (!canRead('campaign')) return { resources };
+
+  try {
+    const campaigns = await client.getCampaigns();
+    for (const campaign of Array.isArray(campaigns) ? campaigns : []) {
+      resources.push({
+        uri: `${CAMPAIGNS_URI}/${encodeURIComponent(campaign._id)}`,
+        name: campaign.name || campaign._id,
+        description: `Campaign ${campaign.name || campaign._id}`,
+        mimeType: 'application/json'
+      });
+    }
+  } catch (error) {
+    console.error('[MCP Resources] Could not list campaigns:', error.message);
+  }
+
+  return { resources };
+}
+
+export async function readResource(client, uri, canRead = () => true) {
+  const parsed = parseResourceUri(uri);
+  if (!parsed) {
+    throw new Error(`Unknown resource: ${uri}`);
+  }
+  if (!canRead(parsed.kind)) {
+    throw Object.assign(new Error(`Resource ${uri} is not allowed for this token`), { status: 403 });
+  }
+
+  const data = await RESOURCE_READERS[parsed.kind](client, parsed.campaignId);
+  return {
+    contents: [{
+      uri,
+      mimeType: 'application/json',
+      text: JSON.stringify(data, null, 2)
+    }]
+  };
+}
@@ -0,0 +1,53 @@
+/**
+ * Retry Policy for Lemlist API requests
+ * Classifies failures and computes jittered exponential backoff, honoring Retry-After
+ */
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+// ECONNABORTED is axios' own request timeout: retrying it would stack 30s attempts past the proxy's timeout
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED'];
+
+export function classifyError(error) {
+  const status = error.response?.status;
+  const rateLimited = status === 429;
+  const serverError = status >= 500;
+  const networkError = !error.response && RETRYABLE_CODES.includes(error.code);
+
+  return {
+    rateLimited,
+    serverError,
+    networkError,
+    retryable: rateLimited || serverError || networkError
+  };
+}
+
+export function shouldRetry(error, classification) {
+  /**
+   * 429 means the request was never processed, so any method may be retried;
+   * other failures are only retried for idempotent methods
+   */
+  if (!classification.retryable) return false;
+  if (classification.rateLimited) return true;
+  return IDEMPOTENT_METHODS.includes((error.config?.method || 'get').toLowerCase());
+}
+
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(seconds * 1000, 0);
+
+  const date = new Date(value).getTime();
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+export function getRetryDelay(error, attempt, options = {}) {
+  const { baseDelayMs = 500, maxDelayMs = 30000 } = options;
+
+  const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+  if (retryAfter !== null) return Math.min(retryAfter, maxDelayMs);
+
+  // Full jitter: random delay between 0 and the exponential ceiling
+  const ceiling = Math.min(baseDelayMs * 2 ** attempt, maxDelayMs);
+  return Math.round(Math.random() * ceiling);
+}
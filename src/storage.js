@@ -0,0 +1,70 @@
+/**
+ * Local file storage for server-side state
+ * Everything lives under DATA_DIR (defaults to data/ in the package) as JSON or JSON Lines files
+ * A relative DATA_DIR is resolved against the package root, not the working directory, since
+ * MCP clients often start the stdio server from / or their own install directory
+ * The directory is only created by the first write; reads of a missing file return the fallback
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const PACKAGE_ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+export function dataFilePath(fileName) {
+  return path.join(path.resolve(PACKAGE_ROOT, process.env.DATA_DIR || 'data'), fileName);
+}
+
+function writableFilePath(fileName) {
+  const filePath = dataFilePath(fileName);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  return filePath;
+}
+
+export function readJsonFile(fileName, fallback) {
+  const filePath = dataFilePath(fileName);
+  if (!fs.existsSync(filePath)) return fallback;
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.error(`[Storage] Could not read ${filePath}:`, error.message);
+    return fallback;
+  }
+}
+
+export function writeJsonFile(fileName, data, options = {}) {
+  // Write to a temp file first so a crash never leaves half-written JSON behind
+  const filePath = writableFilePath(fileName);
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), { mode: options.mode });
+  fs.renameSync(tempPath, filePath);
+}
+
+export function readJsonLines(fileName) {
+  const filePath = dataFilePath(fileName);
+  if (!fs.existsSync(filePath)) return [];
+
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim() !== '')
+    .flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch (error) {
+        return [];
+      }
+    });
+}
+
+export function appendJsonLine(fileName, record) {
+  fs.appendFileSync(writableFilePath(fileName), JSON.stringify(record) + '\n');
+}
+
+export function writeJsonLines(fileName, records) {
+  const filePath = writableFilePath(fileName);
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, records.map(record => JSON.stringify(record) + '\n').join(''));
+  fs.renameSync(tempPath, filePath);
+}
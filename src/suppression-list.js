@@ -0,0 +1,68 @@
+/**
+ * Suppression List
+ * Local mirror of the Lemlist unsubscribe list, checked before leads are imported
+ * One file per Lemlist account so HTTP mode never mixes workspaces
+ */
+
+import crypto from 'crypto';
+import { readJsonFile, writeJsonFile } from './storage.js';
+
+export function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+export class SuppressionList {
+  constructor(apiKey, options = {}) {
+    const accountHash = crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 16);
+    this.fileName = options.fileName || `suppression-${accountHash}.json`;
+    this.maxAgeMs = options.maxAgeMs ?? parseInt(process.env.SUPPRESSION_SYNC_INTERVAL_MS || '3600000', 10);
+
+    const stored = readJsonFile(this.fileName, { emails: [], syncedAt: null });
+    this.emails = new Set(stored.emails);
+    this.syncedAt = stored.syncedAt;
+  }
+
+  isStale() {
+    if (!this.syncedAt) return true;
+    return Date.now() - new Date(this.syncedAt).getTime() > this.maxAgeMs;
+  }
+
+  has(email) {
+    return this.emails.has(normalizeEmail(email));
+  }
+
+  add(email) {
+    this.emails.add(normalizeEmail(email));
+    this.save();
+  }
+
+  remove(email) {
+    this.emails.delete(normalizeEmail(email));
+    this.save();
+  }
+
+  replace(emails) {
+    this.emails = new Set(emails.map(normalizeEmail).filter(Boolean));
+    this.syncedAt = new Date().toISOString();
+    this.save();
+  }
+
+  partition(leads) {
+    /**
+     * Split leads into the ones we may import and the ones that opted out
+     */
+    const allowed = [];
+    const suppressed = [];
+    for (const lead of leads) {
+      (this.has(lead.email) ? suppressed : allowed).push(lead);
+    }
+    return { allowed, suppressed };
+  }
+
+  save() {
+    writeJsonFile(this.fileName, {
+      emails: [...this.emails],
+      syncedAt: this.syncedAt
+    });
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * Email Template Helpers
+ * Parses {{variable}} merge tags, validates them against the lead fields we send
+ * and renders previews so broken tags are caught before a campaign goes out
+ */
+
+// Fields set on every lead created through addLead / bulkAddLeads
+export const LEAD_FIELDS = ['email', 'firstName', 'lastName', 'companyName'];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}]*?)\s*\}\}/g;
+const VARIABLE_NAME_PATTERN = /^[A-Za-z_][\w.-]*$/;
+
+export function extractVariables(text = '') {
+  /**
+   * Returns every merge tag in the text plus the ones that are not valid variable names
+   */
+  const variables = new Set();
+  const malformed = [];
+
+  for (const match of text.matchAll(PLACEHOLDER_PATTERN)) {
+    const name = match[1];
+    if (VARIABLE_NAME_PATTERN.test(name)) {
+      variables.add(name);
+    } else {
+      malformed.push(match[0]);
+    }
+  }
+
+  // Leftover braces mean an unclosed or unopened tag, e.g. "Hi {{firstName}"
+  const stripped = text.replace(PLACEHOLDER_PATTERN, '');
+  if (stripped.includes('{{') || stripped.includes('}}')) {
+    malformed.push(...(stripped.match(/\{\{[^\s]*|[^\s]*\}\}/g) || []));
+  }
+
+  return { variables: [...variables], malformed };
+}
+
+export function validateTemplate(template, options = {}) {
+  /**
+   * Checks subject and body merge tags against declared variables and known lead fields
+   * Errors block creation, warnings are informational
+   */
+  const { subject = '', body = '', variables = [] } = template;
+  const { customFields = [] } = options;
+  const known = new Set([...LEAD_FIELDS, ...variables, ...customFields]);
+
+  const subjectTags = extractVariables(subject);
+  const bodyTags = extractVariables(body);
+  const used = [...new Set([...subjectTags.variables, ...bodyTags.variables])];
+
+  const errors = [];
+  const warnings = [];
+
+  for (const tag of [...subjectTags.malformed, ...bodyTags.malformed]) {
+    errors.push(`Malformed merge tag: ${tag}`);
+  }
+  for (const name of used.filter(name => !known.has(name))) {
+    errors.push(`Unknown variable {{${name}}}: not a lead field and not declared in variables`);
+  }
+  for (const name of variables.filter(name => !used.includes(name))) {
+    warnings.push(`Declared variable "${name}" is not used in subject or body`);
+  }
+
+  return {
+    valid: errors.length === 0,
+    variablesUsed: used,
+    customVariables: used.filter(name => !LEAD_FIELDS.includes(name)),
+    errors,
+    warnings
+  };
+}
+
+export function renderTemplate(template, lead = {}) {
+  /**
+   * Replaces merge tags with the lead's values
+   * Custom fields may be passed flat or under lead.customFields
+   */
+  const values = { ...lead, ...(lead.customFields || {}) };
+  const missingValues = new Set();
+
+  const render = (text = '') => text.replace(PLACEHOLDER_PATTERN, (tag, name) => {
+    const value = values[name];
+    if (value === undefined || value === null || value === '') {
+      missingValues.add(name);
+      return '';
+    }
+    return String(value);
+  });
+
+  return {
+    subject: render(template.subject),
+    body: render(template.body),
+    missingValues: [...missingValues]
+  };
+}
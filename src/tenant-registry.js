@@ -0,0 +1,170 @@
+/**
+ * Tenant Registry for the hosted /mcp endpoint
+ * Maps per-user bearer tokens to their Lemlist API key and allowed tools
+ * Tokens are only stored as SHA-256 hashes; the raw token is shown once when issued
+ * Lemlist API keys are encrypted at rest (AES-256-GCM) when TENANT_ENCRYPTION_KEY is set,
+ * and stored in plaintext otherwise
+ */
+
+import crypto from 'crypto';
+import { readJsonFile, writeJsonFile } from './storage.js';
+import { TOOLS } from './tools/index.js';
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+function encryptApiKey(apiKey, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(apiKey, 'utf8'), cipher.final()]);
+  return ENCRYPTED_PREFIX + [iv, cipher.getAuthTag(), data].map(part => part.toString('base64url')).join(':');
+}
+
+function decryptApiKey(value, key) {
+  const [iv, tag, data] = value.slice(ENCRYPTED_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
+
+function validateTenantInput({ name, lemlistApiKey, allowedTools }) {
+  /**
+   * Everything issueToken stores, checked before anything is written
+   * allowedTools entries must be '*', a tool name or a scope some tool declares
+   */
+  const errors = [];
+  if (typeof name !== 'string' || name.trim() === '') errors.push('name must be a non-empty string');
+  if (typeof lemlistApiKey !== 'string' || lemlistApiKey.trim() === '') errors.push('lemlistApiKey must be a non-empty string');
+
+  if (!Array.isArray(allowedTools) || allowedTools.length === 0) {
+    errors.push('allowedTools must be a non-empty array');
+  } else {
+    const known = new Set(['*', ...TOOLS.map(tool => tool.name), ...TOOLS.flatMap(tool => tool.scopes)]);
+    const unknown = allowedTools.filter(entry => typeof entry !== 'string' || !known.has(entry));
+    if (unknown.length > 0) {
+      errors.push(`allowedTools entries must be '*', tool names or scopes (unknown: ${unknown.map(entry => JSON.stringify(entry)).join(', ')})`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw Object.assign(new Error(errors.join('; ')), { status: 400, validationErrors: errors });
+  }
+}
+
+function maskApiKey(apiKey) {
+  if (!apiKey || apiKey.length < 8) return '[HIDDEN]';
+  return apiKey.substring(0, 4) + '...' + apiKey.substring(apiKey.length - 4);
+}
+
+export class TenantRegistry {
+  constructor(options = {}) {
+    this.fileName = options.fileName || 'tenants.json';
+    const secret = options.encryptionKey ?? process.env.TENANT_ENCRYPTION_KEY;
+    this.encryptionKey = secret ? crypto.createHash('sha256').update(secret).digest() : null;
+    this.warnedPlaintext = false;
+
+    const stored = readJsonFile(this.fileName, []);
+    this.tenants = stored.map(tenant => ({ ...tenant, lemlistApiKey: this.readApiKey(tenant.lemlistApiKey) }));
+
+    // Encrypt keys written before TENANT_ENCRYPTION_KEY was set
+    if (this.encryptionKey && stored.some(tenant => !tenant.lemlistApiKey?.startsWith(ENCRYPTED_PREFIX))) {
+      this.save();
+    }
+  }
+
+  readApiKey(value) {
+    /**
+     * Plaintext keys are returned as is; encrypted ones need the key they were written with,
+     * and the server refuses to start rather than lose every tenant silently
+     */
+    if (!value?.startsWith(ENCRYPTED_PREFIX)) return value;
+    if (!this.encryptionKey) {
+      throw new Error(`${this.fileName} holds encrypted Lemlist API keys: set TENANT_ENCRYPTION_KEY`);
+    }
+    try {
+      return decryptApiKey(value, this.encryptionKey);
+    } catch (error) {
+      throw new Error(`Could not decrypt the Lemlist API keys in ${this.fileName}: is TENANT_ENCRYPTION_KEY the one they were written with?`);
+    }
+  }
+
+  issueToken({ name, lemlistApiKey, allowedTools = ['*'] }) {
+    validateTenantInput({ name, lemlistApiKey, allowedTools });
+
+    const token = `lmcp_${crypto.randomBytes(24).toString('base64url')}`;
+    const tenant = {
+      id: crypto.randomUUID(),
+      name,
+      tokenHash: hashToken(token),
+      lemlistApiKey,
+      allowedTools,
+      createdAt: new Date().toISOString(),
+      revokedAt: null
+    };
+
+    this.commit([...this.tenants, tenant]);
+    return { tenant: this.toPublic(tenant), token };
+  }
+
+  revoke(tenantId) {
+    const tenant = this.tenants.find(entry => entry.id === tenantId);
+    if (!tenant) return null;
+
+    const revoked = { ...tenant, revokedAt: tenant.revokedAt || new Date().toISOString() };
+    this.commit(this.tenants.map(entry => (entry === tenant ? revoked : entry)));
+    return this.toPublic(revoked);
+  }
+
+  commit(tenants) {
+    // Only replace the in-memory list once the file holds it, so memory never runs ahead of disk
+    this.save(tenants);
+    this.tenants = tenants;
+  }
+
+  authenticate(token) {
+    if (!token) return null;
+
+    const tokenHash = Buffer.from(hashToken(token), 'hex');
+    return this.tenants.find(tenant =>
+      !tenant.revokedAt && crypto.timingSafeEqual(Buffer.from(tenant.tokenHash, 'hex'), tokenHash)
+    ) || null;
+  }
+
+  isToolAllowed(tenant, tool) {
+    /**
+     * allowedTools holds '*', tool names, or scopes (e.g. 'campaigns:read')
+     * A tool granted by scope needs every scope it declares
+     */
+    if (!tenant) return true;
+    const { allowedTools } = tenant;
+    if (!Array.isArray(allowedTools)) return false;
+    return allowedTools.includes('*') ||
+      allowedTools.includes(tool.name) ||
+      tool.scopes.every(scope => allowedTools.includes(scope));
+  }
+
+  list() {
+    return this.tenants.map(tenant => this.toPublic(tenant));
+  }
+
+  toPublic(tenant) {
+    const { tokenHash, lemlistApiKey, ...rest } = tenant;
+    return { ...rest, lemlistApiKey: maskApiKey(lemlistApiKey), active: !tenant.revokedAt };
+  }
+
+  save(tenants = this.tenants) {
+    // Holds Lemlist API keys: readable by the server user only, and encrypted when a key is set
+    if (!this.encryptionKey && !this.warnedPlaintext && tenants.length > 0) {
+      console.error(`[Tenants] TENANT_ENCRYPTION_KEY is not set: Lemlist API keys are stored in plaintext in ${this.fileName}`);
+      this.warnedPlaintext = true;
+    }
+
+    const stored = this.encryptionKey
+      ? tenants.map(tenant => ({ ...tenant, lemlistApiKey: encryptApiKey(tenant.lemlistApiKey, this.encryptionKey) }))
+      : tenants;
+    writeJsonFile(this.fileName, stored, { mode: 0o600 });
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * Team, account, rate limit and health tools
+ */
+
+import { clientCall, LOCAL_READ_ONLY, READ_ONLY } from './registry.js';
+
+export const accountTools = [
+  {
+    name: 'get_team_members',
+    description: 'Get all team members',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+      additionalProperties: false
+    },
+    annotations: READ_ONLY,
+    scopes: ['account:read'],
+    handler: clientCall('getTeamMembers', () => [])
+  },
+  {
+    name: 'get_account_info',
+    description: 'Get account information and limits',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+      additionalProperties: false
+    },
+    annotations: READ_ONLY,
+    scopes: ['account:read'],
+    handler: clientCall('getAccountInfo', () => [])
+  },
+  {
+    name: 'get_account_quota',
+    description: 'Get remaining enrichment credits, sending limits and seat usage. Pass planned counts to check a bulk_add_leads or enrichment batch fits the plan',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        plannedLeads: {
+          type: 'number',
+          description: 'Number of leads about to be imported',
+          default: 0
+        },
+        plannedEnrichments: {
+          type: 'number',
+          description: 'Number of enrichments about to be started',
+          default: 0
+        },
+        creditsPerEnrichment: {
+          type: 'number',
+          description: 'Credits one enrichment costs on your plan',
+          default: 1
+        }
+      },
+      additionalProperties: false
+    },
+    annotations: READ_ONLY,
+    scopes: ['account:read'],
+    handler: clientCall('getAccountQuota')
+  },
+  {
+    name: 'get_rate_limit_status',
+    description: 'Get current API rate limit status',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+      additionalProperties: false
+    },
+    annotations: LOCAL_READ_ONLY,
+    scopes: ['account:read'],
+    handler: clientCall('getRateLimitStatus', () => [])
+  },
+  {
+    name: 'health_check',
+    description: 'Check Lemlist API connection and server health',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+      additionalProperties: false
+    },
+    annotations: READ_ONLY,
+    scopes: ['account:read'],
+    handler: clientCall('healthCheck', () => [])
+  }
+];
@@ -0,0 +1,159 @@
+/**
+ * Activity and analytics tools
+ */
+
+import { clientCall, READ_ONLY } from './registry.js';
+
+export const analyticsTools = [
+  {
+    name: 'get_activities',
+    description: 'Get campaign activities and statistics',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        campaignId: {
+          type: 'string',
+          description: 'Campaign ID'
+        },
+        leadId: {
+          type: 'string',
+          description: 'Lead ID'
+        },
+        type: {
+          type: 'string',
+          enum: ['emailsSent', 'emailsOpened', 'emailsClicked', 'emailsReplied', 'emailsBounced'],
+          description: 'Activity type filter'
+        },
+        limit: {
+          type: 'number',
+          default: 100
+        }
+      },
+      additionalProperties: false
+    },
+    annotations: READ_ONLY,
+    scopes: ['analytics:read'],
+    handler: clientCall('getActivities')
+  },
+  {
+    name: 'get_campaign_stats',
+    description: 'Get detailed campaign statistics',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        campaignId: {
+          type: 'string',
+          description: 'Campaign ID'
+        }
+      },
+      required: ['campaignId'],
+      additionalProperties: false
+    },
+    annotations: READ_ONLY,
+    scopes: ['analytics:read'],
+    handler: clientCall('getCampaignStats', (args) => [args.campaignId])
+  },
+  {
+    name: 'get_activities_with_filters',
+    description: 'Get activities with advanced filtering options',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        campaignId: { type: 'string' },
+        leadId: { type: 'string' },
+        type: { type: 'string' },
+        dateFrom: { type: 'string', description: 'Start date (ISO format)' },
+        dateTo: { type: 'string', description: 'End date (ISO format)' },
+        limit: { type: 'number', default: 100 },
+        offset: { type: 'number', default: 0 },
+        grouped: { type: 'boolean', default: false }
+      },
+      additionalProperties: false
+    },
+    annotations: READ_ONLY,
+    scopes: ['analytics:read'],
+    handler: clientCall('getActivitiesWithFilters')
+  },
+  {
+    name: 'get_activity_types',
+    description: 'Get all available activity types',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+      additionalProperties: false
+    },
+    annotations: READ_ONLY,
+    scopes: ['analytics:read'],
+    handler: clientCall('getActivityTypes', () => [])
+  },
+  {
+    name: 'get_grouped_activities',
+    description: 'Get campaign activities grouped by type, day or lead. Reads the newest activities up to limit; truncated is set when more matched',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        campaignId: {
+          type: 'string',
+          description: 'Campaign ID'
+        },
+        groupBy: {
+          type: 'string',
+          enum: ['type', 'date', 'lead'],
+          default: 'type'
+        },
+        dateFrom: { type: 'string', description: 'Start date (ISO format)' },
+        dateTo: { type: 'string', description: 'End date (ISO format)' },
+        limit: { type: 'number', minimum: 1, maximum: 10000, default: 1000, description: 'Maximum activities to read' }
+      },
+      required: ['campaignId'],
+      additionalProperties: false
+    },
+    annotations: READ_ONLY,
+    scopes: ['analytics:read'],
+    handler: clientCall('getGroupedActivities', ({ campaignId, groupBy, ...options }) => [campaignId, groupBy, options])
+  },
+  {
+    name: 'get_detailed_campaign_stats',
+    description: 'Get detailed campaign statistics with date range',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        campaignId: {
+          type: 'string',
+          description: 'Campaign ID'
+        },
+        dateFrom: { type: 'string' },
+        dateTo: { type: 'string' },
+        includeLeadStats: { type: 'boolean', default: true },
+        includeEmailStats: { type: 'boolean', default: true },
+        includeLinkedInStats: { type: 'boolean', default: false }
+      },
+      required: ['campaignId'],
+      additionalProperties: false
+    },
+    annotations: READ_ONLY,
+    scopes: ['analytics:read'],
+    handler: clientCall('getDetailedCampaignStats', (args) => [args.campaignId, args])
+  },
+  {
+    name: 'get_multi_campaign_stats',
+    description: 'Get statistics for multiple campaigns',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        campaignIds: {
+          type: 'array',
+          description: 'Array of campaign IDs',
+          items: { type: 'string' }
+        },
+        dateFrom: { type: 'string' },
+        dateTo: { type: 'string' }
+      },
+      required: ['campaignIds'],
+      additionalProperties: false
+    },
+    annotations: READ_ONLY,
+    scopes: ['analytics:read'],
+    handler: clientCall('getMultiCampaignStats', (args) => [args.campaignIds, args])
+  }
+];
@@ -0,0 +1,129 @@
+/**
+ * Campaign management tools
+ */
+
+import { clientCall, DESTRUCTIVE, IDEMPOTENT_WRITE, READ_ONLY, WRITE } from './registry.js';
+
+export const campaignTools = [
+  {
+    name: 'get_campaigns',
+    description: 'Retrieve all campaigns from Lemlist',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        limit: {
+          type: 'number',
+          description: 'Limit number of campaigns returned',
+          default: 100
+        },
+        offset: {
+          type: 'number', 
+          description: 'Offset for pagination',
+          default: 0
+        }
+      },
+      additionalProperties: false
+    },
+    annotations: READ_ONLY,
+    scopes: ['campaigns:read'],
+    handler: clientCall('getCampaigns')
+  },
+  {
+    name: 'get_campaign',
+    description: 'Get details of a specific campaign',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        campaignId: {
+          type: 'string',
+          description: 'Campaign ID'
+        }
+      },
+      required: ['campaignId'],
+      additionalProperties: false
+    },
+    annotations: READ_ONLY,
+    scopes: ['campaigns:read'],
+    handler: clientCall('getCampaign', (args) => [args.campaignId])
+  },
+  {
+    name: 'create_campaign',
+    description: 'Create a new email campaign',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'Campaign name'
+        },
+        emails: {
+          type: 'array',
+          description: 'Array of email templates',
+          items: {
+            type: 'object',
+            properties: {
+              subject: { type: 'string' },
+              body: { type: 'string' },
+              delay: { type: 'number' }
+            }
+          }
+        },
+        settings: {
+          type: 'object',
+          description: 'Campaign settings',
+          properties: {
+            trackOpens: { type: 'boolean', default: true },
+            trackClicks: { type: 'boolean', default: true }
+          }
+        }
+      },
+      required: ['name'],
+      additionalProperties: false
+    },
+    annotations: WRITE,
+    scopes: ['campaigns:write'],
+    notifies: 'campaigns',
+    handler: clientCall('createCampaign')
+  },
+  {
+    name: 'update_campaign',
+    description: 'Update an existing campaign',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        campaignId: {
+          type: 'string',
+          description: 'Campaign ID'
+        },
+        name: { type: 'string' },
+        emails: { type: 'array' },
+        settings: { type: 'object' }
+      },
+      required: ['campaignId'],
+      additionalProperties: false
+    },
+    annotations: IDEMPOTENT_WRITE,
+    scopes: ['campaigns:write'],
+    notifies: 'campaign',
+    handler: clientCall('updateCampaign', (args) => [args.campaignId, args])
+  },
+  {
+    name: 'delete_campaign',
+    description: 'Delete a campaign',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        campaignId: {
+          type: 'string',
+          description: 'Campaign ID'
+        }
+      },
+      required: ['campaignId'],
+      additionalProperties: false
+    },
+    annotations: DESTRUCTIVE,
+    scopes: ['campaigns:write'],
+    notifies: 'campaigns',
+    handler: clientCall('deleteCampaign', (args) => [args.campaignId])
+  }
+];
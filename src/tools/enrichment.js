@@ -0,0 +1,425 @@
+/**
+ * LinkedIn enrichment tools
+ */
+
+import { JOB_STATUSES } from '../enrichment-jobs.js';
+import { MAX_BATCH_ROWS, MAX_BATCH_CONCURRENCY } from '../enrichment-batches.js';
+import { DEFAULT_PEOPLE_RESULTS, MAX_PEOPLE_RESULTS, PEOPLE_FILTERS, getPeopleFilter, isVerifiedFilter } from '../people-search.js';
+import { QUERY_CRITERIA, compilePeopleQuery } from '../people-query.js';
+import { clientCall, DESTRUCTIVE, LOCAL_READ_ONLY, READ_ONLY, WRITE } from './registry.js';
+
+async function enrichLead(args, { lemlistClient, enrichmentJobs, reportProgress }) {
+  /**
+   * Start the enrichment and hand it to the job tracker, which polls for the LinkedIn URL
+   * With waitForCompletion the call returns once the job finishes, or after ENRICHMENT_WAIT_MS
+   * with the job still processing
+   */
+  const enrichment = await lemlistClient.enrichLeadWithLinkedIn(args.leadId);
+  const job = enrichmentJobs.track(lemlistClient, { leadId: args.leadId, enrichmentId: enrichment.enrichmentId });
+
+  if (!args.waitForCompletion) {
+    return { ...enrichment, jobId: job.id, message: `${enrichment.message} Track it with get_enrichment_job.` };
+  }
+
+  const finished = await enrichmentJobs.waitFor(lemlistClient, job.id, reportProgress);
+  if (finished.status === 'processing') {
+    return {
+      ...enrichment,
+      jobId: job.id,
+      status: finished.status,
+      job: finished,
+      message: 'Still enriching after the wait limit. Track it with get_enrichment_job.'
+    };
+  }
+  return { ...enrichment, jobId: job.id, status: finished.status, job: finished };
+}
+
+// Schema of the convenience criteria; values are checked against the filter catalog by compilePeopleQuery
+const QUERY_CRITERIA_PROPERTIES = {
+  ...Object.fromEntries(Object.entries(QUERY_CRITERIA).map(([name, filterId]) => [name, {
+    type: 'array',
+    items: { type: 'string' },
+    description: getPeopleFilter(filterId).description
+  }])),
+  companySize: {
+    type: 'object',
+    description: 'Company headcount range, matched to the nearest size buckets',
+    properties: {
+      min: { type: 'number', minimum: 0 },
+      max: { type: 'number', minimum: 0 }
+    },
+    additionalProperties: false
+  }
+};
+
+async function searchDatabase(args, { lemlistClient }) {
+  const query = compilePeopleQuery({ ...args.query, filters: args.filters });
+  if (!query.valid) {
+    throw Object.assign(new Error(`Invalid people search: ${query.errors.join('; ')}`), {
+      status: 400,
+      validationErrors: query.errors
+    });
+  }
+
+  const result = await lemlistClient.searchPeople(query.filters, args.page, {
+    paginateAll: args.paginateAll,
+    maxResults: args.maxResults
+  });
+  return query.warnings.length > 0 ? { ...result, warnings: query.warnings } : result;
+}
+
+async function searchAndEnrichPerson(args, { lemlistClient, enrichmentJobs }) {
+  const { firstName, lastName, companyDomain, campaignId } = args;
+  const result = await lemlistClient.searchAndEnrichPerson(firstName, lastName, companyDomain, { campaignId });
+  if (!result.success) return result;
+
+  const job = enrichmentJobs.track(lemlistClient, {
+    leadId: result.leadId,
+    enrichmentId: result.enrichmentId,
+    source: 'search_and_enrich_person',
+    metadata: { firstName, lastName, companyDomain },
+    temporaryLead: result.temporaryLead
+  });
+
+  const { checkDataWith, ...rest } = result;
+  return { ...rest, jobId: job.id, message: 'Lead created and enrichment started. Track it with get_enrichment_job.' };
+}
+
+function loadBatch(enrichmentBatches, lemlistClient, batchId) {
+  const batch = enrichmentBatches.load(lemlistClient, batchId);
+  if (!batch) {
+    throw Object.assign(new Error(`Enrichment batch ${batchId} not found`), { status: 404 });
+  }
+  return batch;
+}
+
+function batchEnrichPeople(args, { lemlistClient, enrichmentBatches }) {
+  /**
+   * Create (or reload) the batch and run it in the background, so the batchId reaches the
+   * caller before any transport timeout; the per-row table comes from get_enrichment_batch
+   */
+  let batch;
+  if (args.batchId) {
+    batch = loadBatch(enrichmentBatches, lemlistClient, args.batchId);
+  } else if (args.rows?.length) {
+    batch = enrichmentBatches.create(lemlistClient, args.rows, { campaignId: args.campaignId });
+  } else {
+    throw Object.assign(new Error('Pass rows to start a batch, or batchId to resume one'), { status: 400 });
+  }
+
+  enrichmentBatches.start(lemlistClient, batch, {
+    concurrency: args.concurrency,
+    retryFailed: args.retryFailed
+  });
+
+  const { rows, ...progress } = enrichmentBatches.report(lemlistClient, batch);
+  return {
+    ...progress,
+    message: progress.status === 'running'
+      ? 'Batch running in the background. Check progress and per-row outcomes with get_enrichment_batch.'
+      : 'Nothing left to run. Per-row outcomes are in get_enrichment_batch.'
+  };
+}
+
+function getPeopleFilters(args) {
+  let filters = PEOPLE_FILTERS;
+  if (args.filterId) {
+    const filter = getPeopleFilter(args.filterId);
+    if (!filter) {
+      throw Object.assign(
+        new Error(`Unknown people filter ${args.filterId}. Known filters: ${PEOPLE_FILTERS.map(entry => entry.filterId).join(', ')}`),
+        { status: 404 }
+      );
+    }
+    filters = [filter];
+  }
+
+  return {
+    success: true,
+    filters: filters.map(filter => ({ ...filter, verified: isVerifiedFilter(filter) })),
+    note: 'Only verified filters come from the Lemlist API reference; unverified filterIds and enum value lists are best guesses, so values outside them are sent with a warning instead of being rejected',
+    criteria: [
+      ...Object.entries(QUERY_CRITERIA).map(([criterion, filterId]) => ({ criterion, filterId, format: 'list of values' })),
+      { criterion: 'companySize', filterId: 'companySize', format: '{ min, max } headcount range' }
+    ],
+    usage: 'Pass query criteria (e.g. { titleKeywords: ["cto"], country: ["France"], exclude: { seniority: ["intern"] } }) or raw filters as [{ filterId, in: [values to match], out: [values to exclude] }]',
+    timestamp: new Date().toISOString()
+  };
+}
+
+function getEnrichmentJob(args, { lemlistClient, enrichmentJobs }) {
+  const job = enrichmentJobs.get(lemlistClient, args.jobId);
+  if (!job) {
+    throw Object.assign(new Error(`Enrichment job ${args.jobId} not found`), { status: 404 });
+  }
+  return { success: true, job };
+}
+
+export const enrichmentTools = [
+  {
+    name: 'search_database_for_linkedin',
+    description: 'Search the Lemlist people database (faster than enrichment). Returns normalized person records with LinkedIn URLs and the total match count; see get_people_filters for valid filters and values',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'object',
+          description: 'Search criteria, combined with filters. Each list matches any of its values',
+          properties: {
+            ...QUERY_CRITERIA_PROPERTIES,
+            exclude: {
+              type: 'object',
+              description: 'Criteria to exclude (a companySize range drops only the buckets entirely inside it)',
+              properties: QUERY_CRITERIA_PROPERTIES,
+              additionalProperties: false
+            }
+          },
+          additionalProperties: false
+        },
+        filters: {
+          type: 'array',
+          description: 'Raw filter objects with filterId, in, and out properties',
+          items: {
+            type: 'object',
+            properties: {
+              filterId: { type: 'string', description: 'Filter field (see get_people_filters)' },
+              in: { type: 'array', description: 'Values to include' },
+              out: { type: 'array', description: 'Values to exclude' }
+            },
+            required: ['filterId']
+          },
+          default: []
+        },
+        page: {
+          type: 'number',
+          description: 'Page number for results (first page to fetch with paginateAll)',
+          minimum: 1,
+          default: 1
+        },
+        paginateAll: {
+          type: 'boolean',
+          description: 'Keep fetching pages until every match or maxResults records are collected',
+          default: false
+        },
+        maxResults: {
+          type: 'number',
+          description: `Most records returned (default ${DEFAULT_PEOPLE_RESULTS})`,
+          minimum: 1,
+          maximum: MAX_PEOPLE_RESULTS
+        }
+      },
+      additionalProperties: false
+    },
+    annotations: READ_ONLY,
+    scopes: ['enrichment'],
+    handler: searchDatabase
+  },
+  {
+    name: 'get_people_filters',
+    description: 'List the known filterIds for search_database_for_linkedin with their suggested values; only filters marked verified are confirmed by the Lemlist API reference',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        filterId: {
+          type: 'string',
+          description: 'Only describe this filter'
+        }
+      },
+      additionalProperties: false
+    },
+    annotations: LOCAL_READ_ONLY,
+    scopes: ['enrichment'],
+    handler: getPeopleFilters
+  },
+  {
+    name: 'search_and_enrich_person',
+    description: 'Search for a person and get their real LinkedIn URL via Lemlist enrichment',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        firstName: {
+          type: 'string',
+          description: 'First name of the person'
+        },
+        lastName: {
+          type: 'string',
+          description: 'Last name of the person'
+        },
+        companyDomain: {
+          type: 'string',
+          description: 'Company domain (e.g., hyro.ai)'
+        },
+        campaignId: {
+          type: 'string',
+          description: 'Campaign to create the enrichment lead in (defaults to the paused enrichment sandbox campaign); leads outside the sandbox are kept'
+        }
+      },
+      required: ['firstName', 'lastName', 'companyDomain'],
+      additionalProperties: false
+    },
+    annotations: WRITE,
+    scopes: ['enrichment', 'leads:write'],
+    handler: searchAndEnrichPerson
+  },
+  {
+    name: 'enrich_lead_linkedin',
+    description: 'Enrich an existing lead with real LinkedIn URL',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        leadId: {
+          type: 'string',
+          description: 'Lead ID to enrich'
+        },
+        waitForCompletion: {
+          type: 'boolean',
+          description: 'Wait (up to ENRICHMENT_WAIT_MS, 45s by default) for the LinkedIn URL, with progress notifications',
+          default: false
+        }
+      },
+      required: ['leadId'],
+      additionalProperties: false
+    },
+    annotations: WRITE,
+    scopes: ['enrichment'],
+    handler: enrichLead
+  },
+  {
+    name: 'get_enriched_lead_data',
+    description: 'Get the enriched lead data including real LinkedIn URL (falls back to searching the first 10 campaigns)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        leadId: {
+          type: 'string',
+          description: 'Lead ID to check for enrichment data'
+        }
+      },
+      required: ['leadId'],
+      additionalProperties: false
+    },
+    annotations: READ_ONLY,
+    scopes: ['enrichment'],
+    handler: clientCall('getEnrichedLeadData', (args) => [args.leadId])
+  },
+  {
+    name: 'batch_enrich_people',
+    description: 'Find LinkedIn URLs for a list of people: database lookup first, lead enrichment as fallback. Runs in the background and returns a batchId right away; follow it with get_enrichment_batch, or pass it back here to resume an interrupted run',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        rows: {
+          type: 'array',
+          description: 'People to enrich (extra spreadsheet columns are ignored)',
+          maxItems: MAX_BATCH_ROWS,
+          items: {
+            type: 'object',
+            properties: {
+              firstName: { type: 'string', minLength: 1 },
+              lastName: { type: 'string', minLength: 1 },
+              companyDomain: { type: 'string', minLength: 1, description: 'Company domain (e.g., hyro.ai)' }
+            },
+            required: ['firstName', 'lastName', 'companyDomain']
+          }
+        },
+        batchId: {
+          type: 'string',
+          description: 'Resume (or re-check) an earlier batch instead of passing rows'
+        },
+        campaignId: {
+          type: 'string',
+          description: 'Campaign to create enrichment leads in (defaults to the paused enrichment sandbox campaign)'
+        },
+        concurrency: {
+          type: 'number',
+          description: 'Rows processed in parallel (default 5)',
+          minimum: 1,
+          maximum: MAX_BATCH_CONCURRENCY
+        },
+        retryFailed: {
+          type: 'boolean',
+          description: 'When resuming, run failed rows again',
+          default: false
+        }
+      },
+      additionalProperties: false
+    },
+    annotations: WRITE,
+    scopes: ['enrichment', 'leads:write'],
+    handler: batchEnrichPeople
+  },
+  {
+    name: 'get_enrichment_batch',
+    description: 'Get the progress and per-row outcome table of a batch_enrich_people batch',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        batchId: {
+          type: 'string',
+          description: 'Batch ID returned by batch_enrich_people'
+        }
+      },
+      required: ['batchId'],
+      additionalProperties: false
+    },
+    annotations: LOCAL_READ_ONLY,
+    scopes: ['enrichment'],
+    handler: (args, { lemlistClient, enrichmentBatches }) =>
+      enrichmentBatches.report(lemlistClient, loadBatch(enrichmentBatches, lemlistClient, args.batchId))
+  },
+  {
+    name: 'list_enrichment_jobs',
+    description: 'List tracked enrichment jobs (from enrich_lead_linkedin and search_and_enrich_person), newest first',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        status: {
+          type: 'string',
+          enum: JOB_STATUSES,
+          description: 'Only jobs in this status'
+        },
+        limit: { type: 'number', default: 50 }
+      },
+      additionalProperties: false
+    },
+    annotations: LOCAL_READ_ONLY,
+    scopes: ['enrichment'],
+    handler: (args, { lemlistClient, enrichmentJobs }) => enrichmentJobs.list(lemlistClient, args)
+  },
+  {
+    name: 'get_enrichment_job',
+    description: 'Get the status of an enrichment job, including the LinkedIn URL once found',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        jobId: {
+          type: 'string',
+          description: 'Job ID returned by enrich_lead_linkedin or search_and_enrich_person'
+        }
+      },
+      required: ['jobId'],
+      additionalProperties: false
+    },
+    annotations: LOCAL_READ_ONLY,
+    scopes: ['enrichment'],
+    handler: getEnrichmentJob
+  },
+  {
+    name: 'cleanup_enrichment_sandbox',
+    description: 'Delete temporary enrichment leads of finished jobs (normally automatic; this retries deletions that kept failing)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        includeTimedOut: {
+          type: 'boolean',
+          description: 'Also delete leads whose enrichment timed out without a LinkedIn URL',
+          default: true
+        }
+      },
+      additionalProperties: false
+    },
+    annotations: DESTRUCTIVE,
+    scopes: ['enrichment', 'leads:write'],
+    handler: (args, { lemlistClient, enrichmentJobs }) => enrichmentJobs.cleanup(lemlistClient, args)
+  }
+];
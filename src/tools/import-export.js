@@ -0,0 +1,64 @@
+/**
+ * Lead import/export tools
+ */
+
+import { clientCall, LOCAL_READ_ONLY, READ_ONLY } from './registry.js';
+
+export const importExportTools = [
+  {
+    name: 'export_leads',
+    description: 'Export leads from a campaign',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        campaignId: {
+          type: 'string',
+          description: 'Campaign ID'
+        },
+        format: {
+          type: 'string',
+          enum: ['csv', 'json'],
+          default: 'json'
+        },
+        includeEnrichment: {
+          type: 'boolean',
+          description: 'Include LinkedIn enrichment fields',
+          default: true
+        },
+        limit: { type: 'number', default: 1000 }
+      },
+      required: ['campaignId'],
+      additionalProperties: false
+    },
+    annotations: READ_ONLY,
+    scopes: ['leads:read'],
+    handler: clientCall('exportLeads', (args) => [args.campaignId, args])
+  },
+  {
+    name: 'validate_lead_data',
+    description: 'Validate lead data before import',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        leads: {
+          type: 'array',
+          description: 'Array of leads to validate',
+          items: {
+            type: 'object',
+            properties: {
+              email: { type: 'string' },
+              firstName: { type: 'string' },
+              lastName: { type: 'string' },
+              companyName: { type: 'string' }
+            }
+          }
+        }
+      },
+      required: ['leads'],
+      additionalProperties: false
+    },
+    annotations: LOCAL_READ_ONLY,
+    scopes: ['leads:read'],
+    handler: clientCall('validateLeadData', (args) => [args.leads])
+  }
+];
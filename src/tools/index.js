@@ -0,0 +1,37 @@
+/**
+ * All MCP tools, in tools/list order
+ */
+
+import { campaignTools } from './campaigns.js';
+import { leadTools } from './leads.js';
+import { analyticsTools } from './analytics.js';
+import { accountTools } from './account.js';
+import { templateTools } from './templates.js';
+import { workflowTools } from './workflows.js';
+import { unsubscribeTools } from './unsubscribes.js';
+import { webhookTools } from './webhooks.js';
+import { searchTools } from './search.js';
+import { enrichmentTools } from './enrichment.js';
+import { importExportTools } from './import-export.js';
+
+export { checkToolRegistry, toToolDefinition, validateToolArguments } from './registry.js';
+
+export const TOOLS = [
+  ...campaignTools,
+  ...leadTools,
+  ...analyticsTools,
+  ...accountTools,
+  ...templateTools,
+  ...workflowTools,
+  ...unsubscribeTools,
+  ...webhookTools,
+  ...searchTools,
+  ...enrichmentTools,
+  ...importExportTools
+];
+
+const TOOLS_BY_NAME = new Map(TOOLS.map(tool => [tool.name, tool]));
+
+export function getTool(name) {
+  return TOOLS_BY_NAME.get(name) || null;
+}
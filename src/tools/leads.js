@@ -0,0 +1,134 @@
+/**
+ * Lead management tools
+ */
+
+import { clientCall, DESTRUCTIVE, IDEMPOTENT_WRITE, READ_ONLY, WRITE } from './registry.js';
+
+export const leadTools = [
+  {
+    name: 'get_leads',
+    description: 'Retrieve all leads',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        campaignId: {
+          type: 'string',
+          description: 'Filter by campaign ID'
+        },
+        limit: {
+          type: 'number',
+          default: 100
+        },
+        offset: {
+          type: 'number',
+          default: 0
+        }
+      },
+      additionalProperties: false
+    },
+    annotations: READ_ONLY,
+    scopes: ['leads:read'],
+    handler: clientCall('getLeads')
+  },
+  {
+    name: 'add_lead',
+    description: 'Add a lead to a campaign',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        campaignId: {
+          type: 'string',
+          description: 'Campaign ID'
+        },
+        email: {
+          type: 'string',
+          description: 'Lead email address'
+        },
+        firstName: { type: 'string' },
+        lastName: { type: 'string' },
+        companyName: { type: 'string' },
+        customFields: { type: 'object' }
+      },
+      required: ['campaignId', 'email'],
+      additionalProperties: false
+    },
+    annotations: WRITE,
+    scopes: ['leads:write'],
+    notifies: 'campaign',
+    handler: clientCall('addLead')
+  },
+  {
+    name: 'bulk_add_leads',
+    description: 'Add multiple leads to a campaign',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        campaignId: {
+          type: 'string',
+          description: 'Campaign ID'
+        },
+        leads: {
+          type: 'array',
+          description: 'Array of leads',
+          items: {
+            type: 'object',
+            properties: {
+              email: { type: 'string' },
+              firstName: { type: 'string' },
+              lastName: { type: 'string' },
+              companyName: { type: 'string' },
+              customFields: { type: 'object' }
+            },
+            required: ['email']
+          }
+        }
+      },
+      required: ['campaignId', 'leads'],
+      additionalProperties: false
+    },
+    annotations: WRITE,
+    scopes: ['leads:write'],
+    notifies: 'campaign',
+    handler: clientCall('bulkAddLeads', (args) => [args.campaignId, args.leads])
+  },
+  {
+    name: 'update_lead',
+    description: 'Update lead information',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        leadId: {
+          type: 'string',
+          description: 'Lead ID'
+        },
+        firstName: { type: 'string' },
+        lastName: { type: 'string' },
+        companyName: { type: 'string' },
+        customFields: { type: 'object' }
+      },
+      required: ['leadId'],
+      additionalProperties: false
+    },
+    annotations: IDEMPOTENT_WRITE,
+    scopes: ['leads:write'],
+    handler: clientCall('updateLead', (args) => [args.leadId, args])
+  },
+  {
+    name: 'delete_lead',
+    description: 'Remove a lead from campaign',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        leadId: {
+          type: 'string',
+          description: 'Lead ID'
+        }
+      },
+      required: ['leadId'],
+      additionalProperties: false
+    },
+    annotations: DESTRUCTIVE,
+    scopes: ['leads:write'],
+    handler: clientCall('deleteLead', (args) => [args.leadId])
+  }
+];
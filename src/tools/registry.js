@@ -0,0 +1,111 @@
+/**
+ * Tool Registry building blocks
+ * Each tool declares name, description, inputSchema, handler, annotations and scopes;
+ * tools/list and callTool dispatch are both generated from these declarations
+ */
+
+import Ajv from 'ajv';
+
+// MCP tool annotations (hints for clients deciding whether to confirm a call)
+export const READ_ONLY = { readOnlyHint: true, openWorldHint: true };
+export const LOCAL_READ_ONLY = { readOnlyHint: true, openWorldHint: false };
+export const WRITE = { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true };
+export const IDEMPOTENT_WRITE = { ...WRITE, idempotentHint: true };
+export const DESTRUCTIVE = { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true };
+
+// What a successful call changes, for resource notifications (see notifyCampaignChanged)
+export const NOTIFIES = ['campaign', 'campaigns'];
+
+export function clientCall(method, toArguments = (args) => [args]) {
+  /**
+   * Handler that forwards to a LemlistClient method
+   * The method name is kept on the handler so the self-check can verify it exists
+   */
+  const handler = (args, context) => context.lemlistClient[method](...toArguments(args, context));
+  handler.clientMethod = method;
+  return handler;
+}
+
+// Compiled inputSchema validators, one per tool declaration
+const ajv = new Ajv({ allErrors: true, useDefaults: true });
+const validators = new WeakMap();
+
+function getValidator(tool) {
+  if (!validators.has(tool)) {
+    validators.set(tool, ajv.compile(tool.inputSchema));
+  }
+  return validators.get(tool);
+}
+
+function describeSchemaError(error) {
+  const path = error.instancePath.slice(1).replace(/\//g, '.');
+  const field = (name) => (path ? `${path}.${name}` : name);
+
+  switch (error.keyword) {
+    case 'required':
+      return `${field(error.params.missingProperty)} is required`;
+    case 'additionalProperties':
+      return `${field(error.params.additionalProperty)} is not a known field`;
+    case 'enum':
+      return `${path} must be one of: ${error.params.allowedValues.join(', ')}`;
+    default:
+      return `${path || 'arguments'} ${error.message}`;
+  }
+}
+
+export function validateToolArguments(tool, args = {}) {
+  /**
+   * Check arguments against the tool's inputSchema before dispatch
+   * Works on a copy so schema defaults are applied without touching the caller's object
+   */
+  const validatedArgs = structuredClone(args);
+  const validate = getValidator(tool);
+
+  if (validate(validatedArgs)) {
+    return { valid: true, args: validatedArgs, errors: [] };
+  }
+  return { valid: false, args: validatedArgs, errors: validate.errors.map(describeSchemaError) };
+}
+
+export function checkToolRegistry(tools, clientPrototype) {
+  /**
+   * Startup self-check: every problem that would otherwise surface as a failed tool call
+   */
+  const problems = [];
+  const names = new Set();
+
+  for (const tool of tools) {
+    const label = tool.name || '(unnamed tool)';
+
+    if (!/^[a-z][a-z0-9_]*$/.test(tool.name || '')) problems.push(`${label}: invalid name`);
+    if (names.has(tool.name)) problems.push(`${label}: declared more than once`);
+    names.add(tool.name);
+
+    if (!tool.description) problems.push(`${label}: missing description`);
+    if (tool.inputSchema?.type !== 'object') {
+      problems.push(`${label}: inputSchema must be an object schema`);
+    } else {
+      try {
+        getValidator(tool);
+      } catch (error) {
+        problems.push(`${label}: invalid inputSchema (${error.message})`);
+      }
+    }
+    if (!tool.annotations) problems.push(`${label}: missing annotations`);
+    if (!Array.isArray(tool.scopes) || tool.scopes.length === 0) problems.push(`${label}: missing scopes`);
+    if (tool.notifies && !NOTIFIES.includes(tool.notifies)) problems.push(`${label}: unknown notifies "${tool.notifies}"`);
+
+    if (typeof tool.handler !== 'function') {
+      problems.push(`${label}: missing handler`);
+    } else if (tool.handler.clientMethod && typeof clientPrototype[tool.handler.clientMethod] !== 'function') {
+      problems.push(`${label}: handler calls missing LemlistClient.${tool.handler.clientMethod}()`);
+    }
+  }
+
+  return problems;
+}
+
+export function toToolDefinition({ name, description, inputSchema, annotations }) {
+  // What tools/list exposes: handler and scopes stay server-side
+  return { name, description, inputSchema, annotations };
+}
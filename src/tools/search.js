@@ -0,0 +1,51 @@
+/**
+ * Advanced search tools
+ */
+
+import { clientCall, READ_ONLY } from './registry.js';
+
+export const searchTools = [
+  {
+    name: 'search_leads_advanced',
+    description: 'Advanced lead search with multiple filters',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string' },
+        firstName: { type: 'string' },
+        lastName: { type: 'string' },
+        companyName: { type: 'string' },
+        campaignId: { type: 'string' },
+        status: { type: 'string' },
+        dateFrom: { type: 'string' },
+        dateTo: { type: 'string' },
+        customFields: { type: 'object', description: 'Lead fields that must match exactly' },
+        limit: { type: 'number', default: 100 },
+        offset: { type: 'number', default: 0 }
+      },
+      additionalProperties: false
+    },
+    annotations: READ_ONLY,
+    scopes: ['leads:read'],
+    handler: clientCall('searchLeadsAdvanced')
+  },
+  {
+    name: 'search_campaigns',
+    description: 'Search campaigns by name, status, and date',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        status: { type: 'string' },
+        dateFrom: { type: 'string' },
+        dateTo: { type: 'string' },
+        limit: { type: 'number', default: 100 },
+        offset: { type: 'number', default: 0 }
+      },
+      additionalProperties: false
+    },
+    annotations: READ_ONLY,
+    scopes: ['campaigns:read'],
+    handler: clientCall('searchCampaigns')
+  }
+];
@@ -0,0 +1,84 @@
+/**
+ * Email template tools
+ */
+
+import { clientCall, READ_ONLY, WRITE } from './registry.js';
+
+export const templateTools = [
+  {
+    name: 'get_templates',
+    description: 'Get all email templates',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        limit: {
+          type: 'number',
+          default: 100
+        }
+      },
+      additionalProperties: false
+    },
+    annotations: READ_ONLY,
+    scopes: ['templates:read'],
+    handler: clientCall('getTemplates')
+  },
+  {
+    name: 'create_template',
+    description: 'Create a new email template',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'Template name'
+        },
+        subject: {
+          type: 'string',
+          description: 'Email subject template'
+        },
+        body: {
+          type: 'string',
+          description: 'Email body template'
+        },
+        variables: {
+          type: 'array',
+          description: 'Available template variables'
+        }
+      },
+      required: ['name', 'subject', 'body'],
+      additionalProperties: false
+    },
+    annotations: WRITE,
+    scopes: ['templates:write'],
+    handler: clientCall('createTemplate')
+  },
+  {
+    name: 'preview_template',
+    description: 'Render a template against a lead to check merge tags before sending',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        templateId: {
+          type: 'string',
+          description: 'Stored template to preview (or pass subject/body inline)'
+        },
+        subject: { type: 'string', description: 'Inline subject template' },
+        body: { type: 'string', description: 'Inline body template' },
+        variables: {
+          type: 'array',
+          description: 'Custom variables the template declares',
+          items: { type: 'string' }
+        },
+        lead: {
+          type: 'object',
+          description: 'Lead to render with (email, firstName, lastName, companyName, customFields)'
+        }
+      },
+      required: ['lead'],
+      additionalProperties: false
+    },
+    annotations: READ_ONLY,
+    scopes: ['templates:read'],
+    handler: clientCall('previewTemplate')
+  }
+];
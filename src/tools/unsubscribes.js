@@ -0,0 +1,82 @@
+/**
+ * Unsubscribe management tools
+ */
+
+import { clientCall, DESTRUCTIVE, IDEMPOTENT_WRITE, READ_ONLY } from './registry.js';
+
+export const unsubscribeTools = [
+  {
+    name: 'get_unsubscribes',
+    description: 'Get all unsubscribed leads',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        limit: { type: 'number', default: 100 },
+        offset: { type: 'number', default: 0 }
+      },
+      additionalProperties: false
+    },
+    annotations: READ_ONLY,
+    scopes: ['unsubscribes:read'],
+    handler: clientCall('getUnsubscribes')
+  },
+  {
+    name: 'add_to_unsubscribes',
+    description: 'Add email to unsubscribed list',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: {
+          type: 'string',
+          description: 'Email address to unsubscribe'
+        }
+      },
+      required: ['email'],
+      additionalProperties: false
+    },
+    annotations: IDEMPOTENT_WRITE,
+    scopes: ['unsubscribes:write'],
+    handler: clientCall('addToUnsubscribes', (args) => [args.email])
+  },
+  {
+    name: 'remove_from_unsubscribes',
+    description: 'Remove email from unsubscribed list',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: {
+          type: 'string',
+          description: 'Email address to resubscribe'
+        }
+      },
+      required: ['email'],
+      additionalProperties: false
+    },
+    annotations: DESTRUCTIVE,
+    scopes: ['unsubscribes:write'],
+    handler: clientCall('removeFromUnsubscribes', (args) => [args.email])
+  },
+  {
+    name: 'unsubscribe_from_campaign',
+    description: 'Unsubscribe lead from specific campaign',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        campaignId: {
+          type: 'string',
+          description: 'Campaign ID'
+        },
+        leadId: {
+          type: 'string',
+          description: 'Lead ID'
+        }
+      },
+      required: ['campaignId', 'leadId'],
+      additionalProperties: false
+    },
+    annotations: IDEMPOTENT_WRITE,
+    scopes: ['unsubscribes:write'],
+    notifies: 'campaign',
+    handler: clientCall('unsubscribeFromCampaign', (args) => [args.campaignId, args.leadId])
+  }
+];
@@ -0,0 +1,136 @@
+/**
+ * Webhook tools
+ */
+
+import { WEBHOOK_EVENT_TYPES } from '../webhook-event-log.js';
+import { clientCall, DESTRUCTIVE, IDEMPOTENT_WRITE, LOCAL_READ_ONLY, READ_ONLY, WRITE } from './registry.js';
+
+function getWebhookReceiverUrl(args, { webhookReceiverUrl }) {
+  if (!webhookReceiverUrl) {
+    throw Object.assign(new Error('The webhook receiver is disabled: set WEBHOOK_SECRET and run in HTTP mode'), { status: 404 });
+  }
+  return {
+    success: true,
+    url: webhookReceiverUrl,
+    message: process.env.PUBLIC_URL ? 'Pass this url to create_webhook' : 'Prefix this path with the server\'s public URL (or set PUBLIC_URL)'
+  };
+}
+
+export const webhookTools = [
+  {
+    name: 'create_webhook',
+    description: 'Create a webhook for real-time events. Point it at the URL from get_webhook_receiver_url to make events queryable with get_webhook_events',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        url: {
+          type: 'string',
+          description: 'Webhook URL'
+        },
+        events: {
+          type: 'array',
+          description: 'Events to subscribe to',
+          items: {
+            type: 'string',
+            enum: Object.keys(WEBHOOK_EVENT_TYPES)
+          }
+        },
+        campaignId: {
+          type: 'string',
+          description: 'Only send events for this campaign'
+        },
+        active: { type: 'boolean', default: true }
+      },
+      required: ['url', 'events'],
+      additionalProperties: false
+    },
+    annotations: WRITE,
+    scopes: ['webhooks:write'],
+    handler: clientCall('createWebhook')
+  },
+  {
+    name: 'get_webhooks',
+    description: 'Get all configured webhooks',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+      additionalProperties: false
+    },
+    annotations: READ_ONLY,
+    scopes: ['webhooks:read'],
+    handler: clientCall('getWebhooks', () => [])
+  },
+  {
+    name: 'update_webhook',
+    description: 'Update an existing webhook',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        webhookId: {
+          type: 'string',
+          description: 'Webhook ID'
+        },
+        url: { type: 'string' },
+        events: { type: 'array' },
+        active: { type: 'boolean' }
+      },
+      required: ['webhookId'],
+      additionalProperties: false
+    },
+    annotations: IDEMPOTENT_WRITE,
+    scopes: ['webhooks:write'],
+    handler: clientCall('updateWebhook', (args) => [args.webhookId, args])
+  },
+  {
+    name: 'delete_webhook',
+    description: 'Delete a webhook',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        webhookId: {
+          type: 'string',
+          description: 'Webhook ID'
+        }
+      },
+      required: ['webhookId'],
+      additionalProperties: false
+    },
+    annotations: DESTRUCTIVE,
+    scopes: ['webhooks:write'],
+    handler: clientCall('deleteWebhook', (args) => [args.webhookId])
+  },
+  {
+    name: 'get_webhook_receiver_url',
+    description: 'Get the URL on this server that receives this account\'s Lemlist webhooks (use it as create_webhook url)',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+      additionalProperties: false
+    },
+    annotations: LOCAL_READ_ONLY,
+    scopes: ['webhooks:read'],
+    handler: getWebhookReceiverUrl
+  },
+  {
+    name: 'get_webhook_events',
+    description: 'Get webhook events received by this server since a given time (replies, opens, clicks...)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        since: { type: 'string', description: 'Only events received after this date (ISO format)' },
+        event: {
+          type: 'string',
+          enum: Object.keys(WEBHOOK_EVENT_TYPES),
+          description: 'Event type filter'
+        },
+        campaignId: { type: 'string' },
+        leadId: { type: 'string' },
+        limit: { type: 'number', default: 100 }
+      },
+      additionalProperties: false
+    },
+    annotations: LOCAL_READ_ONLY,
+    scopes: ['webhooks:read'],
+    handler: (args, { eventLog }) => eventLog.query(args)
+  }
+];
@@ -0,0 +1,52 @@
+/**
+ * High-level workflow tools spanning several API calls
+ */
+
+import { clientCall, WRITE } from './registry.js';
+
+export const workflowTools = [
+  {
+    name: 'create_complete_campaign',
+    description: 'Create a complete campaign with leads in one operation',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        campaignName: {
+          type: 'string'
+        },
+        emailSequence: {
+          type: 'array',
+          description: 'Array of emails in sequence',
+          items: {
+            type: 'object',
+            properties: {
+              subject: { type: 'string' },
+              body: { type: 'string' },
+              delay: { type: 'number' }
+            }
+          }
+        },
+        leads: {
+          type: 'array',
+          description: 'Initial leads to add',
+          items: { type: 'object' }
+        },
+        settings: {
+          type: 'object',
+          description: 'Campaign settings (same as create_campaign)',
+          properties: {
+            trackOpens: { type: 'boolean' },
+            trackClicks: { type: 'boolean' }
+          },
+          additionalProperties: false
+        }
+      },
+      required: ['campaignName', 'emailSequence'],
+      additionalProperties: false
+    },
+    annotations: WRITE,
+    scopes: ['campaigns:write', 'leads:write'],
+    notifies: 'campaigns',
+    handler: clientCall('createCompleteCampaign', (args, context) => [args, { onProgress: context.reportProgress }])
+  }
+];
@@ -0,0 +1,113 @@
+/**
+ * Webhook Event Log
+ * Persists events pushed by Lemlist webhooks so tools can answer "what happened since X"
+ * without polling the activities endpoint
+ * One file per Lemlist account: each account posts to its own receiver URL
+ */
+
+import crypto from 'crypto';
+import { appendJsonLine, readJsonLines, writeJsonLines } from './storage.js';
+
+// Event names exposed by the MCP tools, mapped to Lemlist hook/activity types
+export const WEBHOOK_EVENT_TYPES = {
+  'lead.added': 'contacted',
+  'email.sent': 'emailsSent',
+  'email.opened': 'emailsOpened',
+  'email.clicked': 'emailsClicked',
+  'email.replied': 'emailsReplied',
+  'lead.unsubscribed': 'emailsUnsubscribed'
+};
+
+const EVENTS_BY_LEMLIST_TYPE = Object.fromEntries(
+  Object.entries(WEBHOOK_EVENT_TYPES).map(([event, lemlistType]) => [lemlistType, event])
+);
+
+export function toWebhookEvent(type) {
+  if (WEBHOOK_EVENT_TYPES[type]) return type;
+  return EVENTS_BY_LEMLIST_TYPE[type] || null;
+}
+
+export function webhookReceiverToken(accountId, secret) {
+  /**
+   * Per-account token in the receiver URL, derived from WEBHOOK_SECRET so the secret itself
+   * never leaves the server and one account's URL cannot post into another account's log
+   */
+  return crypto.createHmac('sha256', secret).update(accountId).digest('hex');
+}
+
+export function isValidReceiverToken(accountId, token, secret) {
+  // Compare digests: equal length whatever the caller sent, so timingSafeEqual never throws
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(token), digest(webhookReceiverToken(accountId, secret)));
+}
+
+export class WebhookEventLog {
+  constructor(accountId, options = {}) {
+    this.fileName = options.fileName || `webhook-events-${accountId}.jsonl`;
+    this.maxEvents = options.maxEvents || parseInt(process.env.WEBHOOK_EVENT_LOG_MAX || '5000', 10);
+    this.events = readJsonLines(this.fileName);
+  }
+
+  record(payload) {
+    /**
+     * Store an incoming Lemlist webhook payload
+     * Returns null for event types we don't subscribe to
+     */
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      throw Object.assign(new Error('Webhook payload must be a JSON object'), { status: 400 });
+    }
+
+    const event = toWebhookEvent(payload.type);
+    if (!event) return null;
+
+    const entry = {
+      id: crypto.randomUUID(),
+      event,
+      type: payload.type,
+      campaignId: payload.campaignId || null,
+      leadId: payload.leadId || null,
+      leadEmail: payload.leadEmail || payload.email || null,
+      occurredAt: payload.createdAt || new Date().toISOString(),
+      receivedAt: new Date().toISOString(),
+      payload
+    };
+
+    this.events.push(entry);
+    if (this.events.length > this.maxEvents) {
+      this.events = this.events.slice(-this.maxEvents);
+      writeJsonLines(this.fileName, this.events);
+    } else {
+      appendJsonLine(this.fileName, entry);
+    }
+
+    return entry;
+  }
+
+  query(filters = {}) {
+    /**
+     * Events received after `since`, newest first
+     */
+    const { since, event, campaignId, leadId, limit = 100 } = filters;
+    const sinceTime = since ? new Date(since).getTime() : null;
+
+    if (since && Number.isNaN(sinceTime)) {
+      throw new Error(`Invalid "since" date: ${since}`);
+    }
+
+    const matches = this.events.filter(entry => {
+      if (sinceTime !== null && new Date(entry.receivedAt).getTime() <= sinceTime) return false;
+      if (event && entry.event !== event) return false;
+      if (campaignId && entry.campaignId !== campaignId) return false;
+      if (leadId && entry.leadId !== leadId) return false;
+      return true;
+    }).reverse();
+
+    return {
+      success: true,
+      events: matches.slice(0, limit),
+      totalFound: matches.length,
+      oldestStoredEvent: this.events[0]?.receivedAt || null,
+      filters
+    };
+  }
+}
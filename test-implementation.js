@@ -5,13 +5,36 @@
  * Tests the complete Lemlist MCP server implementation using sub-agent quality assurance
  */
 
+import fs from 'fs';
+import http from 'http';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
 import { LemlistClient } from './src/lemlist-client.js';
+import { dataFilePath, readJsonFile, writeJsonFile } from './src/storage.js';
+import { WebhookEventLog, isValidReceiverToken, webhookReceiverToken } from './src/webhook-event-log.js';
+import { RESOURCE_TOOLS, listResources, readResource } from './src/resources.js';
+import { TenantRegistry } from './src/tenant-registry.js';
+import { SuppressionList } from './src/suppression-list.js';
+import { listPrompts, getPrompt } from './src/prompts.js';
+import { EnrichmentBatchRunner } from './src/enrichment-batches.js';
+import { EnrichmentJobTracker, accountIdOf } from './src/enrichment-jobs.js';
+import { compilePeopleQuery } from './src/people-query.js';
+import { TOOLS, getTool, checkToolRegistry, validateToolArguments } from './src/tools/index.js';
+import { RateLimiter } from './src/rate-limiter.js';
+import { classifyError } from './src/retry-policy.js';
 import { QualityAssurance } from './sub-agents/quality/QualityAssurance.js';
 import { SubAgentOrchestrator } from './sub-agents/SubAgentOrchestrator.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
+// Local state written by the tests goes to a throwaway directory, never ./data
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'lemlist-mcp-test-'));
+process.on('exit', () => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
 class LemlistMCPTester {
   constructor() {
     this.results = {
@@ -34,10 +57,32 @@ class LemlistMCPTester {
     await this.testAPIKeyValidation();
     await this.testErrorHandling();
     await this.testRateLimiting();
+    await this.testRateLimiter();
+    await this.testRetryPolicy();
     await this.testDataValidation();
     await this.testSecurityMeasures();
     
     // Functionality Tests
+    await this.testStorage();
+    await this.testToolRegistry();
+    await this.testCampaignManagement();
+    await this.testCampaignWorkflow();
+    await this.testTemplates();
+    await this.testAccountQuota();
+    await this.testLeadSearchAndExport();
+    await this.testSuppressionList();
+    await this.testActivities();
+    await this.testWebhookEventLog();
+    await this.testTenantRegistry();
+    await this.testAdminAuth();
+    await this.testHttpSessions();
+    await this.testResourcePermissions();
+    await this.testPrompts();
+    await this.testPeopleQuery();
+    await this.testEnrichmentJobs();
+    await this.testEnrichmentBatches();
+    await this.testProxyRetries();
+    await this.testProxyPassthrough();
     await this.testBasicAPIConnectivity();
     await this.testMCPToolDefinitions();
     await this.testSubAgentRouting();
@@ -113,6 +158,66 @@ class LemlistMCPTester {
       'Exponential backoff logic implemented in error handling');
   }
 
+  async testRateLimiter() {
+    console.log('\n🚦 Testing Rate Limiter...');
+
+    const limiter = new RateLimiter({ maxRequests: 2, windowMs: 200 });
+    const startedAt = Date.now();
+    const grants = await Promise.all([1, 2, 3].map(() => limiter.acquire().then(() => Date.now() - startedAt)));
+    this.recordTest('Rate Limiter (budget)', grants[1] < 50 && grants[2] >= 80,
+      `Two requests pass at once, the third waits for a token (${grants.join('/')}ms)`);
+
+    const blocked = new RateLimiter({ maxRequests: 10, windowMs: 1000 });
+    blocked.updateFromHeaders({ 'x-ratelimit-limit': '10', 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(Date.now() + 150) });
+    const status = blocked.getStatus();
+    const blockedAt = Date.now();
+    await blocked.acquire();
+    this.recordTest('Rate Limiter (server headers)',
+      status.blocked && status.server.remaining === 0 && Date.now() - blockedAt >= 100,
+      'An exhausted X-RateLimit budget holds requests until its reset');
+  }
+
+  async testRetryPolicy() {
+    console.log('\n🔁 Testing Retry Policy...');
+
+    // Answers with the given failures in order, then succeeds
+    const withFailures = (failures) => {
+      const queue = [...failures];
+      const mocked = this.mockClient(() => queue.shift() || { data: { ok: true } });
+      mocked.client.retryOptions = { maxRetries: 2, baseDelayMs: 1, maxDelayMs: 5 };
+      return mocked;
+    };
+
+    const limited = withFailures([{ status: 429, headers: { 'retry-after': '0' } }]);
+    const created = await limited.client.createCampaign({ name: 'Retry' });
+    this.recordTest('Retry Policy (429)', created.ok === true && limited.calls.length === 2,
+      'A rate-limited POST is retried, as it never ran');
+
+    const failedWrite = withFailures([{ status: 500 }]);
+    const writeError = await failedWrite.client.createCampaign({ name: 'Retry' }).then(() => null, error => error);
+    this.recordTest('Retry Policy (non-idempotent 5xx)',
+      writeError?.serverError === true && writeError.retries === 0 && failedWrite.calls.length === 1,
+      'A POST that failed with 500 is not resent');
+
+    const failedRead = withFailures([{ status: 503 }, { status: 503 }, { status: 503 }]);
+    const readError = await failedRead.client.getCampaigns().then(() => null, error => error);
+    this.recordTest('Retry Policy (idempotent 5xx)',
+      readError?.retryable === true && readError.retries === 2 && failedRead.calls.length === 3,
+      'A GET is retried up to maxRetries, then fails annotated');
+
+    const slowRetry = withFailures([{ status: 503, headers: { 'retry-after': '2' } }]);
+    slowRetry.client.retryOptions = { maxRetries: 2, baseDelayMs: 1, maxDelayMs: 5000, maxElapsedMs: 1000 };
+    const budgetError = await slowRetry.client.getCampaigns().then(() => null, error => error);
+    this.recordTest('Retry Policy (time budget)',
+      budgetError?.retries === 0 && slowRetry.calls.length === 1,
+      'A retry that would start past maxElapsedMs is not attempted');
+
+    this.recordTest('Retry Policy (client timeout)',
+      !classifyError({ code: 'ECONNABORTED', config: { method: 'get' } }).retryable &&
+        classifyError({ code: 'ECONNRESET', config: { method: 'get' } }).retryable,
+      'Requests that hit the client timeout are not retried; dropped connections are');
+  }
+
   async testDataValidation() {
     console.log('\n✅ Testing Data Validation...');
     
@@ -131,6 +236,26 @@ class LemlistMCPTester {
       const isValid = client.validateEmail(email);
       this.recordTest(`Email Validation (${email})`, !isValid, 'Invalid email should fail');
     });
+
+    // Test lead batch validation
+    const validation = await client.validateLeadData([
+      { email: 'jane@acme.com', firstName: 'Jane', lastName: 'Doe' },
+      { email: 'Jane@acme.com', firstName: 'Jane', lastName: 'Doe' },
+      { email: 'temp@mailinator.com', firstName: 'Temp', lastName: 'User' },
+      { email: 'sales@acme.com', firstName: 'Sales', lastName: 'Team' }
+    ]);
+    const [first, duplicate, disposable, role] = validation.rows;
+
+    this.recordTest('Lead Validation (duplicates)', first.valid && !duplicate.valid, 'Repeated email in batch should fail');
+    this.recordTest('Lead Validation (disposable)', !disposable.valid, 'Disposable domain should fail');
+    this.recordTest('Lead Validation (role address)', role.valid && role.warnings.length > 0, 'Role address should warn');
+
+    const malformed = await client.validateLeadData([null, 'jane@acme.com', { email: 'jane@acme.com', firstName: 'Jane', lastName: 'Doe' }]);
+    const schemaCheck = validateToolArguments(getTool('create_complete_campaign'), { campaignName: 'Launch', emailSequence: [], leads: [null] });
+    this.recordTest('Lead Validation (non-object rows)',
+      malformed.rows.slice(0, 2).every(row => !row.valid && row.errors[0] === 'Lead must be an object') && malformed.rows[2].valid &&
+        !schemaCheck.valid,
+      'Non-object rows are reported, not thrown on, and rejected by the tool schema');
   }
 
   async testSecurityMeasures() {
@@ -155,6 +280,995 @@ class LemlistMCPTester {
       'Input validation methods are implemented');
   }
 
+  async testStorage() {
+    console.log('\n💾 Testing Storage...');
+
+    const dataDir = process.env.DATA_DIR;
+    const lazyDir = path.join(dataDir, 'lazy');
+    process.env.DATA_DIR = lazyDir;
+    try {
+      new LemlistClient({ apiKey: 'storage-test-key' });
+      const untouched = readJsonFile('missing.json', 'fallback') === 'fallback' && !fs.existsSync(lazyDir);
+      writeJsonFile('state.json', { saved: true });
+      this.recordTest('Storage (lazy data directory)',
+        untouched && readJsonFile('state.json', null)?.saved === true,
+        'Creating a client or reading does not create DATA_DIR; the first write does');
+    } finally {
+      process.env.DATA_DIR = dataDir;
+    }
+
+    const cwd = process.cwd();
+    const packageRoot = path.dirname(fileURLToPath(import.meta.url));
+    process.chdir(os.tmpdir());
+    try {
+      process.env.DATA_DIR = 'relative-data';
+      this.recordTest('Storage (relative data directory)',
+        dataFilePath('state.json') === path.join(packageRoot, 'relative-data', 'state.json'),
+        'A relative DATA_DIR resolves against the package root, not the working directory');
+    } finally {
+      process.chdir(cwd);
+      process.env.DATA_DIR = dataDir;
+    }
+  }
+
+  async testToolRegistry() {
+    console.log('\n🗂️ Testing Tool Registry...');
+
+    const problems = checkToolRegistry(TOOLS, LemlistClient.prototype);
+    this.recordTest('Tool Registry (self-check)', problems.length === 0,
+      problems.length === 0 ? `${TOOLS.length} tools declared consistently` : problems.join('; '));
+
+    const tool = getTool('get_leads');
+    const defaults = validateToolArguments(tool, {});
+    const wrongType = validateToolArguments(tool, { limit: 'ten' });
+    const unknown = validateToolArguments(tool, { colour: 'blue' });
+    const missing = validateToolArguments(getTool('get_campaign'), {});
+    this.recordTest('Tool Registry (argument validation)',
+      defaults.valid && defaults.args.limit === 100 && !wrongType.valid && !unknown.valid &&
+        !missing.valid && missing.errors[0] === 'campaignId is required',
+      'Defaults are applied; wrong types, unknown and missing arguments are rejected');
+  }
+
+  async testCampaignManagement() {
+    console.log('\n📋 Testing Campaign Management...');
+
+    const campaigns = [
+      { _id: 'cam_1', name: 'Q3 Launch', status: 'running', createdAt: '2024-07-01' },
+      { _id: 'cam_2', name: 'Q3 Follow-up', status: 'paused', createdAt: '2024-08-01' },
+      { _id: 'cam_3', name: 'Webinar', status: 'running', createdAt: '2024-08-15' }
+    ];
+    const { client, calls } = this.mockClient((call) => (call.url === '/campaigns' ? { data: campaigns } : { data: {} }));
+
+    await client.updateCampaign('cam_1', { campaignId: 'cam_1', name: 'Renamed' });
+    await client.deleteCampaign('cam_2');
+    const [update, removal] = calls;
+    this.recordTest('Campaign Update/Delete',
+      update.method === 'patch' && update.url === '/campaigns/cam_1' && JSON.stringify(update.data) === '{"name":"Renamed"}' &&
+        removal.method === 'delete' && removal.url === '/campaigns/cam_2',
+      'update_campaign PATCHes only the changes, delete_campaign DELETEs the campaign');
+
+    const found = await client.searchCampaigns({ name: 'q3', dateFrom: '2024-07-15' });
+    this.recordTest('Campaign Search', found.totalFound === 1 && found.campaigns[0]._id === 'cam_2',
+      'Name and creation date filters are applied');
+  }
+
+  mockClient(respond) {
+    /**
+     * LemlistClient whose HTTP calls are answered by respond(config) instead of the network
+     * Every request is recorded in `calls` as { method, url, data, params }
+     */
+    const client = new LemlistClient({ apiKey: 'mock-key' });
+    const calls = [];
+    client.client.defaults.adapter = async (config) => {
+      const call = {
+        method: config.method,
+        url: config.url,
+        data: config.data ? JSON.parse(config.data) : undefined,
+        params: config.params
+      };
+      calls.push(call);
+      const { status = 200, data = {}, headers = {} } = (await respond(call)) || {};
+      const response = { data, status, statusText: String(status), headers, config };
+      if (status >= 400) {
+        throw Object.assign(new Error(`Request failed with status code ${status}`), { response, config });
+      }
+      return response;
+    };
+    return { client, calls };
+  }
+
+  async testCampaignWorkflow() {
+    console.log('\n🧩 Testing Campaign Workflow...');
+
+    const steps = [{ subject: 'Hi', body: 'Hello' }];
+    for (const [shape, sequences, expected] of [
+      ['list', [{ _id: 'seq_list' }], 'seq_list'],
+      ['object', { seq_object: { steps: [] } }, 'seq_object']
+    ]) {
+      const { client, calls } = this.mockClient((call) => (call.method === 'get' ? { data: sequences } : { data: {} }));
+      await client.addSequenceSteps('cam_1', steps);
+      this.recordTest(`Sequence Steps (${shape} response)`, calls.some(call => call.url === `/sequences/${expected}/steps`),
+        `Steps are added to the first sequence of the ${shape}`);
+    }
+
+    const { client: empty } = this.mockClient(() => ({ data: [] }));
+    const missing = await empty.addSequenceSteps('cam_1', steps).then(() => null, error => error);
+    this.recordTest('Sequence Steps (no sequence)', missing?.status === 404 && missing.message.includes('no sequence'),
+      'A campaign without sequence fails with a clear error');
+
+    const { client, calls } = this.mockClient((call) => (call.url === '/campaigns' ? { data: { _id: 'cam_2' } } : { data: {} }));
+    await client.createCompleteCampaign({
+      campaignName: 'Mocked',
+      emailSequence: [],
+      leads: [],
+      settings: { trackOpens: false, emoji: true }
+    }).catch(() => null);
+    const created = calls.find(call => call.method === 'post' && call.url === '/campaigns');
+    this.recordTest('Complete Campaign (settings)', JSON.stringify(created?.data) === JSON.stringify({ name: 'Mocked', settings: { trackOpens: false } }),
+      'Only known campaign settings are sent');
+
+    // The campaign has no sequence, so the second step fails after the campaign exists
+    for (const [outcome, deleteStatus] of [['rolled back', 200], ['rollback failed', 403]]) {
+      const { client: failing, calls: failingCalls } = this.mockClient((call) => {
+        if (call.url === '/campaigns') return { data: { _id: 'cam_3' } };
+        if (call.method === 'delete') return { status: deleteStatus };
+        return { data: [] };
+      });
+      const result = await failing.createCompleteCampaign({ campaignName: 'Half-built', emailSequence: steps });
+      const rollback = result.steps.at(-1);
+      this.recordTest(`Complete Campaign (${outcome})`,
+        result.success === false && result.rolledBack === (deleteStatus === 200) && rollback.step === 'rollback' &&
+          failingCalls.some(call => call.method === 'delete' && call.url === '/campaigns/cam_3') &&
+          (deleteStatus === 200 || rollback.note.includes('cam_3')),
+        deleteStatus === 200 ? 'A failed step deletes the half-built campaign' : 'A failed rollback names the campaign to remove by hand');
+    }
+  }
+
+  async testTemplates() {
+    console.log('\n✉️ Testing Templates...');
+
+    const { client, calls } = this.mockClient(() => ({ data: { _id: 'tpl_1' } }));
+    const rejected = await client.createTemplate({ name: 'Broken', subject: 'Hi {{firstName}', body: 'About {{compnyName}}' });
+    this.recordTest('Templates (invalid tags)',
+      rejected.success === false && rejected.validation.errors.length === 2 && calls.length === 0,
+      'Malformed and unknown merge tags are rejected before reaching the API');
+
+    const created = await client.createTemplate({ name: 'Intro', subject: 'Hi {{ firstName }}', body: '{{plan}} at {{companyName}}', variables: ['plan', 'unused'] });
+    this.recordTest('Templates (declared variables)',
+      created.success === true && created.validation.warnings.length === 1 && calls.length === 1,
+      'Declared variables are accepted; unused ones only warn');
+
+    const preview = await client.previewTemplate({
+      subject: 'Hi {{firstName}}',
+      body: '{{plan}} for {{companyName}}',
+      lead: { firstName: 'Ada', customFields: { plan: 'Pro' } }
+    });
+    this.recordTest('Templates (preview)',
+      preview.rendered.subject === 'Hi Ada' && preview.rendered.body === 'Pro for ' &&
+        preview.missingValues.join() === 'companyName' && preview.readyToSend === false,
+      'Custom fields are rendered and missing lead values block sending');
+  }
+
+  async testAccountQuota() {
+    console.log('\n👥 Testing Team and Account...');
+
+    const { client } = this.mockClient((call) => ({
+      data: {
+        '/team': { name: 'Acme', seats: 3, dailySendingLimit: 100 },
+        '/team/credits': { details: { remaining: { email: 40, phone: 10 } } },
+        '/team/members': [{ _id: 'usr_1' }, { _id: 'usr_2' }]
+      }[call.url]
+    }));
+
+    const info = await client.getAccountInfo();
+    this.recordTest('Account Info', info.team.name === 'Acme' && info.credits.details.remaining.email === 40,
+      'Team details and credits are combined');
+
+    const quota = await client.getAccountQuota({ plannedLeads: 250, plannedEnrichments: 60 });
+    this.recordTest('Account Quota (derived)',
+      quota.quota.enrichmentCredits.remaining === 50 && quota.quota.seats.available === 1 && quota.quota.sendingLimits.dailyLimit === 100,
+      'Credits are summed from the breakdown and free seats counted from team members');
+    this.recordTest('Account Quota (warnings)',
+      !quota.withinLimits && quota.warnings.length === 2 && quota.warnings[1].includes('3 days'),
+      'A batch over the credits or daily sending limit is flagged');
+  }
+
+  async testLeadSearchAndExport() {
+    console.log('\n🔎 Testing Lead Search and Export...');
+
+    const searchTool = getTool('search_leads_advanced');
+    const accepted = validateToolArguments(searchTool, { email: 'a@b.co', firstName: 'Ada', dateFrom: '2024-01-01', customFields: { plan: 'pro' } });
+    this.recordTest('Lead Search (schema)', accepted.valid, 'Documented search filters pass validation');
+
+    const leads = [
+      { _id: 'l1', email: 'ada@acme.io', firstName: 'Ada', companyName: 'Acme', plan: 'pro', createdAt: '2024-03-01' },
+      { _id: 'l2', email: 'bob@acme.io', firstName: 'Bob', companyName: 'Acme', plan: 'free', createdAt: '2024-03-01' },
+      { _id: 'l3', email: 'cy@initech.io', firstName: 'Cy', companyName: 'Initech', plan: 'pro', createdAt: '2023-01-01' }
+    ];
+    const { client } = this.mockClient(() => ({ data: leads }));
+    const found = await client.searchLeadsAdvanced({ companyName: 'acme', dateFrom: '2024-01-01', customFields: { plan: 'pro' } });
+    this.recordTest('Lead Search (filters)', found.totalFound === 1 && found.leads[0]._id === 'l1',
+      'Company, date and custom field filters are applied');
+
+    const exportTool = getTool('export_leads');
+    const defaults = validateToolArguments(exportTool, { campaignId: 'cam_1' });
+    const json = await client.exportLeads('cam_1', defaults.args);
+    const csv = await client.exportLeads('cam_1', { format: 'csv', includeEnrichment: false });
+    this.recordTest('Lead Export (format)',
+      json.format === 'json' && Array.isArray(json.data) && typeof csv.data === 'string' && csv.data.startsWith('id,email,'),
+      'JSON by default, CSV text when asked for');
+  }
+
+  async testSuppressionList() {
+    console.log('\n🚫 Testing Suppression List...');
+
+    let unsubscribesUp = false;
+    const { client, calls } = this.mockClient((call) => {
+      if (call.url === '/unsubscribes') return unsubscribesUp ? { data: [{ email: 'gone@example.com' }] } : { status: 403 };
+      return { data: { _id: 'lea_1' } };
+    });
+    client.suppressionList = new SuppressionList('mock-key', { fileName: 'test-suppression.json' });
+    const lead = { email: 'ada@example.com', firstName: 'Ada', lastName: 'Lovelace' };
+
+    const single = await client.addLead({ campaignId: 'cam_1', ...lead }).then(() => null, error => error);
+    const bulk = await client.bulkAddLeads('cam_1', [lead]).then(() => null, error => error);
+    this.recordTest('Suppression (never synced)',
+      single?.status === 503 && bulk?.status === 503 && !calls.some(call => call.method === 'post'),
+      'Imports are refused when no unsubscribe list could be synced');
+
+    unsubscribesUp = true;
+    await client.addLead({ campaignId: 'cam_1', ...lead });
+    unsubscribesUp = false;
+    client.suppressionList.syncedAt = new Date(0).toISOString();
+    const cached = await client.addLead({ campaignId: 'cam_1', email: 'gone@example.com' });
+    this.recordTest('Suppression (cached list)', cached.suppressed === true,
+      'A failed sync falls back to the list synced before');
+  }
+
+  async testActivities() {
+    console.log('\n📅 Testing Activities...');
+
+    // Newest first, one activity per day at noon going back from 2024-06-30
+    const day = 24 * 60 * 60 * 1000;
+    const activityAt = (index) => ({ _id: `act_${index}`, type: 'emailsOpened', createdAt: new Date(Date.UTC(2024, 5, 30, 12) - index * day).toISOString() });
+    const { client, calls } = this.mockClient((call) => ({
+      data: Array.from({ length: 100 }, (_, index) => activityAt(call.params.offset + index))
+    }));
+
+    const recent = await client.getActivitiesWithFilters({ dateFrom: '2024-06-01' });
+    this.recordTest('Activities (date window)', recent.totalFound === 30 && !recent.truncated && calls.length === 1,
+      'Paging stops at the first page that reaches past dateFrom');
+
+    calls.length = 0;
+    const none = await client.getActivitiesWithFilters({ dateFrom: '2030-01-01' });
+    this.recordTest('Activities (empty window)', none.totalFound === 0 && calls.length === 1,
+      'A window newer than every activity does not page through the history');
+
+    calls.length = 0;
+    const june = await client.getActivitiesWithFilters({ dateFrom: '2024-06-01', dateTo: '2024-06-30' });
+    this.recordTest('Activities (date-only dateTo)', june.totalFound === 30 && june.activities[0]._id === 'act_0',
+      'A date-only dateTo includes activities from that whole day');
+
+    calls.length = 0;
+    const latest = await client.getActivities({ limit: 150 });
+    this.recordTest('Activities (truncated)', latest.totalFound === 150 && latest.truncated === true && calls.length === 2,
+      'Hitting the result cap is reported as truncated');
+
+    calls.length = 0;
+    const paged = await client.getActivitiesWithFilters({ limit: 20, offset: 10 });
+    this.recordTest('Activities (filtered page)',
+      paged.returned === 20 && paged.activities[0]._id === 'act_10' && paged.truncated === true && calls.length === 1,
+      'Only offset + limit matches are read, and the rest is reported as truncated');
+
+    calls.length = 0;
+    const grouped = await client.getGroupedActivities('cam_1', 'date', { dateFrom: '2024-06-01', limit: 10 });
+    this.recordTest('Activities (grouped cap)',
+      grouped.totalActivities === 10 && grouped.truncated === true && Object.keys(grouped.counts).length === 10 && calls.length === 1,
+      'Grouped activities stop at the limit inside the date window');
+
+    const activity = (type, sequenceStep, leadId) => ({ type, sequenceStep, leadId, createdAt: '2024-06-10T12:00:00.000Z' });
+    const { client: statsClient } = this.mockClient(() => ({
+      data: [
+        ...['l1', 'l2', 'l3', 'l4'].map(leadId => activity('emailsSent', 0, leadId)),
+        activity('emailsOpened', 0, 'l1'), activity('emailsOpened', 0, 'l1'), activity('emailsReplied', 0, 'l2'),
+        activity('emailsSent', 1, 'l1'), activity('emailsSent', 1, 'l3'), activity('emailsBounced', 1, 'l3'),
+        activity('linkedinInviteDone', 2, 'l4'), activity('linkedinInviteAccepted', 2, 'l4')
+      ]
+    }));
+    const stats = await statsClient.getDetailedCampaignStats('cam_1', { dateTo: '2024-06-30', includeLinkedInStats: true });
+    const [first, second] = stats.emailStats.steps;
+    this.recordTest('Detailed Stats (per step)',
+      first.step === 1 && first.sent === 4 && first.opened === 2 && first.replyRate === 25 &&
+        second.step === 2 && second.bounceRate === 50 && stats.emailStats.totals.sent === 6 &&
+        stats.linkedinStats.steps[0].acceptanceRate === 100,
+      'Counts and rates are broken down per sequence step and channel');
+    this.recordTest('Detailed Stats (unique leads)',
+      stats.leadStats.contactedLeads === 4 && stats.leadStats.openedLeads === 1 && stats.leadStats.leadReplyRate === 25,
+      'Lead stats count each lead once across steps');
+  }
+
+  async testWebhookEventLog() {
+    console.log('\n🪝 Testing Webhook Event Log...');
+
+    const accountA = new WebhookEventLog('aaaaaaaaaaaaaaaa');
+    const accountB = new WebhookEventLog('bbbbbbbbbbbbbbbb');
+    accountA.record({ type: 'emailsReplied', campaignId: 'cam_1', leadId: 'lea_1' });
+
+    this.recordTest('Webhook Events (per account)',
+      accountA.query().totalFound === 1 && accountB.query().totalFound === 0,
+      'Events recorded for one account are not visible to another');
+
+    let rejected = false;
+    try {
+      accountA.record(null);
+    } catch (error) {
+      rejected = error.status === 400;
+    }
+    this.recordTest('Webhook Events (non-object payload)', rejected, 'null payload is rejected with status 400');
+
+    const token = webhookReceiverToken('aaaaaaaaaaaaaaaa', 'secret');
+    this.recordTest('Webhook Receiver Token',
+      isValidReceiverToken('aaaaaaaaaaaaaaaa', token, 'secret') &&
+      !isValidReceiverToken('bbbbbbbbbbbbbbbb', token, 'secret') &&
+      !isValidReceiverToken('aaaaaaaaaaaaaaaa', 'é'.repeat(token.length), 'secret'),
+      'Token is bound to its account and mismatches never throw');
+  }
+
+  async testTenantRegistry() {
+    console.log('\n🔑 Testing Tenant Registry...');
+
+    const registry = new TenantRegistry({ fileName: 'test-tenants.json', encryptionKey: 'test-secret' });
+    const { tenant, token } = registry.issueToken({ name: 'alice', lemlistApiKey: 'alice-lemlist-key', allowedTools: ['campaigns:read'] });
+    const stored = fs.readFileSync(path.join(process.env.DATA_DIR, 'test-tenants.json'), 'utf8');
+    const reloaded = new TenantRegistry({ fileName: 'test-tenants.json', encryptionKey: 'test-secret' });
+    this.recordTest('Tenant Registry (encrypted keys)',
+      !stored.includes('alice-lemlist-key') && !stored.includes(token) &&
+        reloaded.authenticate(token)?.lemlistApiKey === 'alice-lemlist-key',
+      'API keys are encrypted at rest and tokens stored hashed');
+
+    let refused = false;
+    try {
+      new TenantRegistry({ fileName: 'test-tenants.json', encryptionKey: '' });
+    } catch (error) {
+      refused = error.message.includes('TENANT_ENCRYPTION_KEY');
+    }
+    this.recordTest('Tenant Registry (missing key)', refused, 'Encrypted keys without TENANT_ENCRYPTION_KEY stop the start');
+
+    reloaded.revoke(tenant.id);
+    this.recordTest('Tenant Registry (authentication)',
+      reloaded.authenticate('lmcp_wrong') === null && reloaded.authenticate(token) === null,
+      'Unknown and revoked tokens are rejected');
+
+    const rejected = [
+      { name: 'x', lemlistApiKey: 12345 },
+      { name: 'x', lemlistApiKey: 'key', allowedTools: 'get_campaigns' },
+      { name: 'x', lemlistApiKey: 'key', allowedTools: ['get_campaignz'] }
+    ].filter(input => {
+      try {
+        registry.issueToken(input);
+        return false;
+      } catch (error) {
+        return error.status === 400;
+      }
+    });
+    this.recordTest('Tenant Registry (input validation)', rejected.length === 3 && registry.list().length === 1,
+      'Non-string keys and allowedTools outside the known tools and scopes are refused before storing');
+
+    const fileName = registry.fileName;
+    registry.fileName = 'test-tenants.json/unwritable.json';
+    const failedWrite = (() => {
+      try {
+        registry.issueToken({ name: 'bob', lemlistApiKey: 'bob-key' });
+        return false;
+      } catch (error) {
+        return true;
+      }
+    })();
+    registry.fileName = fileName;
+    const afterFailure = registry.issueToken({ name: 'carol', lemlistApiKey: 'carol-key' });
+    this.recordTest('Tenant Registry (failed write)',
+      failedWrite && registry.list().length === 2 &&
+        new TenantRegistry({ fileName, encryptionKey: 'test-secret' }).authenticate(afterFailure.token)?.name === 'carol',
+      'A failed save leaves the registry unchanged and usable');
+
+    const scoped = { allowedTools: ['campaigns:read', 'create_campaign'] };
+    this.recordTest('Tenant Registry (tool permissions)',
+      registry.isToolAllowed(scoped, getTool('get_campaigns')) &&
+        registry.isToolAllowed(scoped, getTool('create_campaign')) &&
+        !registry.isToolAllowed(scoped, getTool('get_leads')),
+      'Tools are granted by name or by all of their scopes');
+
+    const enrichmentOnly = { allowedTools: ['enrichment'] };
+    this.recordTest('Tenant Registry (lead-creating enrichment)',
+      !registry.isToolAllowed(enrichmentOnly, getTool('search_and_enrich_person')) &&
+        registry.isToolAllowed({ allowedTools: ['enrichment', 'leads:write'] }, getTool('search_and_enrich_person')),
+      'Tools that create sandbox leads also need leads:write');
+  }
+
+  async startServer(env) {
+    /**
+     * Run src/index.js in HTTP mode on a free port; resolves once it listens
+     */
+    const port = await new Promise((resolve) => {
+      const probe = net.createServer().listen(0, () => {
+        const { port: free } = probe.address();
+        probe.close(() => resolve(free));
+      });
+    });
+    const child = spawn(process.execPath, ['src/index.js'], {
+      env: { ...process.env, PORT: String(port), ...env },
+      stdio: ['ignore', 'pipe', 'ignore']
+    });
+
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('server did not start')), 10000);
+      child.stdout.on('data', (chunk) => {
+        if (String(chunk).includes('listening')) {
+          clearTimeout(timer);
+          resolve();
+        }
+      });
+    });
+
+    return {
+      url: `http://127.0.0.1:${port}`,
+      stop: () => new Promise((resolve) => {
+        child.once('exit', resolve);
+        child.kill();
+      })
+    };
+  }
+
+  async testAdminAuth() {
+    console.log('\n🛡️ Testing Admin Auth...');
+
+    const adminKey = 'admin-test-key';
+    const server = await this.startServer({ ADMIN_API_KEY: adminKey });
+    try {
+      const statusFor = async (authorization) => {
+        const response = await fetch(`${server.url}/admin/tokens`, { headers: authorization ? { Authorization: authorization } : {} });
+        return response.status;
+      };
+
+      this.recordTest('Admin Auth (valid key)', await statusFor(`Bearer ${adminKey}`) === 200, 'The admin key lists tenants');
+      this.recordTest('Admin Auth (wrong key)',
+        await statusFor('Bearer nope') === 401 && await statusFor(null) === 401,
+        'Wrong or missing keys get 401');
+      this.recordTest('Admin Auth (multibyte key)', await statusFor(`Bearer ${'é'.repeat(adminKey.length)}`) === 401,
+        'A same-length multibyte key is a plain 401, not a server error');
+    } finally {
+      await server.stop();
+    }
+  }
+
+  async testHttpSessions() {
+    console.log('\n🌐 Testing HTTP Sessions...');
+
+    // Seed one finished enrichment job for key-a's account; key-b must never see it
+    const sessionDataDir = path.join(process.env.DATA_DIR, 'http-sessions');
+    fs.mkdirSync(sessionDataDir, { recursive: true });
+    fs.writeFileSync(path.join(sessionDataDir, 'enrichment-jobs.json'), JSON.stringify([{
+      id: 'job_key_a', accountId: accountIdOf({ apiKey: 'key-a' }), leadId: 'lea_1', status: 'completed',
+      createdAt: new Date().toISOString(), updatedAt: new Date().toISOString()
+    }]));
+
+    const server = await this.startServer({ LEMLIST_API_KEY: '', MCP_SESSION_TTL_MS: '300', DATA_DIR: sessionDataDir });
+    const post = (body, { key = 'key-a', sessionId } = {}) => fetch(`${server.url}/mcp`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        'X-Lemlist-Api-Key': key,
+        ...(sessionId ? { 'Mcp-Session-Id': sessionId } : {})
+      },
+      body: JSON.stringify(body)
+    });
+
+    try {
+      const initialize = async (key) => {
+        const initialized = await post({
+          jsonrpc: '2.0', id: 1, method: 'initialize',
+          params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } }
+        }, { key });
+        const id = initialized.headers.get('mcp-session-id');
+        await initialized.text();
+        await post({ jsonrpc: '2.0', method: 'notifications/initialized' }, { key, sessionId: id });
+        return id;
+      };
+      const listJobs = async (key, sessionId) => {
+        const response = await post({ jsonrpc: '2.0', id: 7, method: 'tools/call', params: { name: 'list_enrichment_jobs', arguments: {} } }, { key, sessionId });
+        return response.text();
+      };
+      const sessionId = await initialize('key-a');
+
+      const listed = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, { sessionId });
+      const listing = await listed.text();
+      this.recordTest('HTTP Sessions (initialize)', Boolean(sessionId) && listed.status === 200 && listing.includes('"get_campaigns"'),
+        'initialize opens a session that serves tools/list');
+
+      const hijacked = await post({ jsonrpc: '2.0', id: 3, method: 'tools/list' }, { sessionId, key: 'key-b' });
+      this.recordTest('HTTP Sessions (credentials)', hijacked.status === 403,
+        'Another API key cannot use the session');
+
+      const otherSessionId = await initialize('key-b');
+      const ownJobs = await listJobs('key-a', sessionId);
+      const otherJobs = await listJobs('key-b', otherSessionId);
+      this.recordTest('HTTP Sessions (client isolation)', ownJobs.includes('job_key_a') && !otherJobs.includes('job_key_a'),
+        'Each session uses the Lemlist client of its own API key');
+
+      // With a 300ms TTL, only the open SSE stream keeps the session through the wait
+      const listening = new AbortController();
+      const stream = await fetch(`${server.url}/mcp`, {
+        headers: { Accept: 'text/event-stream', 'X-Lemlist-Api-Key': 'key-a', 'Mcp-Session-Id': sessionId },
+        signal: listening.signal
+      });
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      const whileListening = await post({ jsonrpc: '2.0', id: 5, method: 'tools/list' }, { sessionId });
+      await whileListening.text();
+      listening.abort();
+      this.recordTest('HTTP Sessions (open stream)', stream.status === 200 && whileListening.status === 200,
+        'A session with an open SSE stream is not swept as idle');
+
+      const closed = await fetch(`${server.url}/mcp`, { method: 'DELETE', headers: { 'X-Lemlist-Api-Key': 'key-a', 'Mcp-Session-Id': sessionId } });
+      const afterClose = await post({ jsonrpc: '2.0', id: 4, method: 'tools/list' }, { sessionId });
+      this.recordTest('HTTP Sessions (termination)', closed.status === 200 && afterClose.status === 404,
+        'DELETE ends the session');
+
+      const idleId = await initialize('key-a');
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      const afterIdle = await post({ jsonrpc: '2.0', id: 6, method: 'tools/list' }, { sessionId: idleId });
+      this.recordTest('HTTP Sessions (idle sweep)', afterIdle.status === 404,
+        'A session without requests or streams is dropped after MCP_SESSION_TTL_MS');
+    } finally {
+      await server.stop();
+    }
+  }
+
+  async testResourcePermissions() {
+    console.log('\n📚 Testing Resource Permissions...');
+
+    const registry = new TenantRegistry();
+    const tenant = { allowedTools: ['campaigns:read'] };
+    const canRead = (kind) => registry.isToolAllowed(tenant, getTool(RESOURCE_TOOLS[kind]));
+    const client = {
+      getCampaigns: async () => [{ _id: 'cam_1', name: 'Launch' }],
+      getCampaign: async () => ({ _id: 'cam_1' }),
+      getLeads: async () => [{ email: 'jane@acme.com' }]
+    };
+
+    const { resources } = await listResources(client, canRead);
+    this.recordTest('Resource Listing (scoped)', resources.length === 2 && resources.every(resource => !resource.uri.endsWith('/leads')),
+      'A campaigns:read token lists campaigns but no lead resources');
+
+    let denied = false;
+    try {
+      await readResource(client, 'lemlist://campaigns/cam_1/leads', canRead);
+    } catch (error) {
+      denied = error.status === 403;
+    }
+    this.recordTest('Resource Read (scoped)', denied, 'Reading leads without leads:read is refused');
+  }
+
+  async testPrompts() {
+    console.log('\n💬 Testing Prompts...');
+
+    const registry = new TenantRegistry();
+    const tenant = { allowedTools: ['campaigns:read', 'analytics:read'] };
+    const canUseTool = (name) => registry.isToolAllowed(tenant, getTool(name));
+
+    const names = listPrompts(canUseTool).prompts.map(prompt => prompt.name);
+    this.recordTest('Prompt Listing (scoped)', names.length === 1 && names[0] === 'diagnose_campaign',
+      'Only prompts whose data the token may read are listed');
+
+    const readOnly = { allowedTools: ['campaigns:read', 'leads:read'] };
+    const importer = { allowedTools: ['campaigns:read', 'leads:read', 'leads:write'] };
+    const hasImportPrompt = (scoped) => listPrompts(name => registry.isToolAllowed(scoped, getTool(name)))
+      .prompts.some(prompt => prompt.name === 'clean_and_import_leads');
+    this.recordTest('Prompt Listing (import needs leads:write)', !hasImportPrompt(readOnly) && hasImportPrompt(importer),
+      'clean_and_import_leads is only listed for tokens that can call bulk_add_leads');
+
+    let denied = false;
+    try {
+      await getPrompt({}, 'draft_sequence', { persona: 'CTO' }, canUseTool);
+    } catch (error) {
+      denied = error.status === 403;
+    }
+    this.recordTest('Prompt Get (scoped)', denied, 'draft_sequence needs templates:read');
+
+    const client = { getTemplates: async () => [] };
+    const prompt = await getPrompt(client, 'draft_sequence', { persona: 'CTO', steps: 'many' });
+    this.recordTest('Prompt Arguments (steps)', prompt.description.startsWith('3-step'),
+      'Non-numeric steps fall back to the default');
+  }
+
+  async testPeopleQuery() {
+    console.log('\n🧭 Testing People Query Builder...');
+
+    const query = compilePeopleQuery({
+      titleKeywords: ['CTO'],
+      seniority: ['VP'],
+      companySize: { min: 40, max: 250 },
+      exclude: { country: ['France'] }
+    });
+    const byId = Object.fromEntries(query.filters.map(filter => [filter.filterId, filter]));
+    this.recordTest('People Query (criteria)',
+      query.valid && byId.seniority.in[0] === 'vp' &&
+        JSON.stringify(byId.companySize.in) === JSON.stringify(['11-50', '51-200', '201-500']) &&
+        byId.country.out[0] === 'France',
+      'Criteria compile to catalog filters, enums in catalog spelling, size range to overlapping buckets');
+
+    const invalid = compilePeopleQuery({ country: ['Spain'], exclude: { country: ['spain'] } });
+    this.recordTest('People Query (rejected)', !invalid.valid && invalid.errors.length === 1,
+      'Include/exclude conflicts are errors');
+
+    const unverified = compilePeopleQuery({ seniority: ['emperor'], filters: [{ filterId: 'department', in: ['Growth'] }] });
+    const unverifiedById = Object.fromEntries(unverified.filters.map(filter => [filter.filterId, filter]));
+    this.recordTest('People Query (unverified values)',
+      unverified.valid && unverified.warnings.length === 2 &&
+        unverifiedById.seniority.in[0] === 'emperor' && unverifiedById.department.in[0] === 'Growth',
+      'Values outside an unverified enum list are sent with a warning');
+
+    const raw = compilePeopleQuery({ filters: [{ filterId: 'jobTitle', in: ['Founder'] }] });
+    this.recordTest('People Query (raw pass-through)',
+      raw.valid && raw.filters[0].filterId === 'jobTitle' && raw.warnings.length === 1,
+      'A raw filterId outside the catalog is sent with a warning');
+
+    const catalog = await getTool('get_people_filters').handler({}, {});
+    const verified = catalog.filters.filter(filter => filter.verified).map(filter => filter.filterId);
+    this.recordTest('People Filters (verified)',
+      JSON.stringify(verified) === JSON.stringify(['firstName', 'lastName', 'companyDomain']) &&
+        catalog.filters.find(filter => filter.filterId === 'seniority').verified === false,
+      'Only filters from the API reference are reported as verified');
+
+    const pages = { 1: [{ full_name: 'Ada Lovelace' }, { full_name: 'Alan Turing' }], 2: [{ full_name: 'Grace Hopper' }] };
+    const { client, calls } = this.mockClient((call) => ({ data: { schema: pages[call.data.page], total: 3, size: 2 } }));
+    const all = await client.searchPeople(query.filters, 1, { paginateAll: true });
+    this.recordTest('People Search (pagination)',
+      all.count === 3 && all.total === 3 && all.nextPage === null && calls.length === 2 && calls[0].url === '/schema/people',
+      'Pages are read from `schema` until `total` is reached');
+
+    const { client: changed } = this.mockClient(() => ({ data: { results: [] } }));
+    const unexpected = await changed.searchPeople(query.filters);
+    this.recordTest('People Search (unexpected shape)', unexpected.success === false && unexpected.error.includes('schema'),
+      'A response without `schema` is an error, not an empty result');
+  }
+
+  async testEnrichmentJobs() {
+    console.log('\n⏳ Testing Enrichment Jobs...');
+
+    const { client, calls } = this.mockClient((call) => (call.url === '/leads/lead_3'
+      ? { data: { _id: 'lead_3', lead_linkedin_url: 'https://linkedin.com/in/lead3' } }
+      : { status: 404, data: { message: 'Lead not found' } }));
+    const tracker = new EnrichmentJobTracker({ fileName: 'test-enrichment-jobs.json', pollIntervalMs: 60000, pollBudget: 2, autoCleanup: false });
+    const jobs = ['lead_1', 'lead_2', 'lead_3'].map(leadId => tracker.track(client, { leadId }));
+    tracker.stop();
+
+    await tracker.pollPending();
+    const firstTick = calls.map(call => call.url);
+    await tracker.pollPending();
+    this.recordTest('Enrichment Jobs (poll budget)',
+      JSON.stringify(firstTick) === JSON.stringify(['/leads/lead_1', '/leads/lead_2']) &&
+        calls.length === 4 && calls.every(call => call.url.startsWith('/leads/')),
+      'Each tick looks up at most pollBudget leads, least recently checked first, without scanning campaigns');
+    this.recordTest('Enrichment Jobs (completion)', tracker.get(client, jobs[2].id).status === 'completed',
+      'The job left out of the first tick is polled on the next one');
+
+    const overdueTracker = new EnrichmentJobTracker({ fileName: 'test-overdue-jobs.json', pollIntervalMs: 60000, timeoutMs: 0, pollBudget: 2, autoCleanup: false });
+    const { client: slow } = this.mockClient(() => ({ status: 404, data: { message: 'Lead not found' } }));
+    const overdueJobs = Array.from({ length: 6 }, (_, index) => overdueTracker.track(slow, { leadId: `late_${index}` }));
+    overdueTracker.stop();
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await overdueTracker.pollPending();
+    const states = overdueJobs.map(job => overdueTracker.get(slow, job.id));
+    this.recordTest('Enrichment Jobs (no unchecked time-out)',
+      states.filter(job => job.status === 'timed_out').every(job => job.attempts === 1) &&
+        states.filter(job => job.status === 'timed_out').length === 2 &&
+        states.filter(job => job.status === 'processing').every(job => job.attempts === 0),
+      'Overdue jobs past the poll budget stay processing until they get a lookup');
+
+    let deleteFailures = 1;
+    const { client: sandbox, calls: sandboxCalls } = this.mockClient((call) => {
+      if (call.method === 'delete') return deleteFailures-- > 0 ? { status: 500 } : { data: {} };
+      return { status: 404, data: { message: 'Lead not found' } };
+    });
+    sandbox.retryOptions = { ...sandbox.retryOptions, maxRetries: 0 };
+    const cleanupTracker = new EnrichmentJobTracker({ fileName: 'test-cleanup-jobs.json', pollIntervalMs: 60000, timeoutMs: 0 });
+    const expired = cleanupTracker.track(sandbox, { leadId: 'temp_1', temporaryLead: true });
+    cleanupTracker.stop();
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await cleanupTracker.pollPending();
+    const afterTimeout = cleanupTracker.get(sandbox, expired.id);
+    await cleanupTracker.pollPending();
+    cleanupTracker.stop();
+    this.recordTest('Enrichment Jobs (timed-out cleanup)',
+      afterTimeout.status === 'timed_out' && afterTimeout.cleanupError !== null &&
+        cleanupTracker.get(sandbox, expired.id).cleanedUpAt !== null &&
+        sandboxCalls.filter(call => call.method === 'delete').length === 2,
+      'The temporary lead of a timed-out job is deleted, and a failed deletion is retried on the next tick');
+
+    const { client: enricher } = this.mockClient((call) => (call.method === 'post' ? { data: { _id: 'lead_new' } } : { data: [] }));
+    enricher.enrichmentSandbox = { sandbox: { campaignId: 'cam_sandbox' }, checkedAt: Date.now() };
+    const inSandbox = await enricher.searchAndEnrichPerson('Ada', 'Lovelace', 'acme.io');
+    const inCampaign = await enricher.searchAndEnrichPerson('Ada', 'Lovelace', 'acme.io', { campaignId: 'cam_real' });
+    this.recordTest('Enrichment Jobs (temporary leads)',
+      inSandbox.campaignId === 'cam_sandbox' && inSandbox.temporaryLead === true && inCampaign.temporaryLead === false,
+      'Only leads created in the sandbox campaign are marked temporary');
+
+    tracker.maxWaitMs = 50;
+    const waited = await tracker.waitFor(client, jobs[0].id);
+    tracker.stop();
+    this.recordTest('Enrichment Jobs (wait limit)', waited.status === 'processing',
+      'waitFor returns the job still processing once the wait limit passes');
+  }
+
+  async testEnrichmentBatches() {
+    console.log('\n📇 Testing Enrichment Batches...');
+
+    const lookups = [];
+    let failOnce = true;
+    const client = {
+      apiKey: 'batch-test-key',
+      searchPersonByName: async (firstName) => {
+        lookups.push(firstName);
+        if (firstName === 'Flaky' && failOnce) {
+          failOnce = false;
+          throw new Error('temporary outage');
+        }
+        return { success: true, found: true, linkedinUrl: `https://www.linkedin.com/in/${firstName.toLowerCase()}` };
+      }
+    };
+    const jobs = { track: () => ({ id: 'job' }), get: () => null };
+    const rows = ['Ada', 'Flaky', 'Grace'].map(firstName => ({ firstName, lastName: 'Test', companyDomain: 'acme.com' }));
+    const startBatch = getTool('batch_enrich_people').handler;
+    const getBatch = getTool('get_enrichment_batch').handler;
+
+    // Started in the background: the id comes back before any row is processed
+    const runner = new EnrichmentBatchRunner(jobs);
+    const started = startBatch({ rows }, { lemlistClient: client, enrichmentBatches: runner });
+    this.recordTest('Batch Enrichment (background start)', started.status === 'running' && started.summary.pending === rows.length,
+      'batch_enrich_people returns the batchId with status running right away');
+
+    await runner.running.get(started.batchId)?.work;
+    const finished = getBatch({ batchId: started.batchId }, { lemlistClient: client, enrichmentBatches: runner });
+    this.recordTest('Batch Enrichment (progress)',
+      finished.status === 'completed' && finished.summary.found_in_database === 2 && finished.summary.failed === 1,
+      'get_enrichment_batch reports per-row outcomes once the run ends');
+
+    // A fresh runner stands in for a restarted server: only rows without an outcome run again
+    const interrupted = runner.create(client, rows);
+    interrupted.rows[0].outcome = { status: 'found_in_database', linkedinUrl: 'https://www.linkedin.com/in/ada' };
+    runner.save(interrupted);
+    lookups.length = 0;
+
+    const restarted = new EnrichmentBatchRunner(jobs);
+    const context = { lemlistClient: client, enrichmentBatches: restarted };
+    const resumed = startBatch({ batchId: interrupted.id }, context);
+    await restarted.running.get(interrupted.id)?.work;
+    this.recordTest('Batch Enrichment (resume)',
+      resumed.status === 'running' && lookups.join(',') === 'Flaky,Grace' &&
+      getBatch({ batchId: interrupted.id }, context).status === 'completed',
+      'Resuming by batchId skips rows that already have an outcome');
+
+    lookups.length = 0;
+    startBatch({ batchId: started.batchId, retryFailed: true }, context);
+    await restarted.running.get(started.batchId)?.work;
+    this.recordTest('Batch Enrichment (retryFailed)',
+      lookups.join(',') === 'Flaky' && getBatch({ batchId: started.batchId }, context).status === 'completed',
+      'retryFailed reruns only the failed rows');
+
+    const otherAccount = { ...client, apiKey: 'another-account' };
+    let hidden = false;
+    try {
+      getBatch({ batchId: started.batchId }, { lemlistClient: otherAccount, enrichmentBatches: restarted });
+    } catch (error) {
+      hidden = error.status === 404;
+    }
+    this.recordTest('Batch Enrichment (account isolation)', hidden, 'Batches of another account are not found');
+  }
+
+  startProxy(env) {
+    /**
+     * Run lemlist-proxy.js as Claude Desktop would: JSON-RPC lines over stdio
+     */
+    const child = spawn(process.execPath, ['lemlist-proxy.js'], {
+      env: { ...process.env, LEMLIST_API_KEY: 'proxy-test-key', PROXY_CACHE_DIR: process.env.DATA_DIR, ...env },
+      stdio: ['pipe', 'pipe', 'ignore']
+    });
+    const waiting = new Map();
+    const received = [];
+    let pending = '';
+    child.stdout.on('data', (chunk) => {
+      const lines = (pending + chunk).split('\n');
+      pending = lines.pop();
+      for (const line of lines.filter(Boolean)) {
+        const message = JSON.parse(line);
+        received.push(message);
+        waiting.get(message.id)?.(message);
+      }
+    });
+
+    return {
+      child,
+      received,
+      request: (id, method, params = {}) => new Promise((resolve) => {
+        const timer = setTimeout(() => resolve({ error: { message: 'no answer from proxy' } }), 10000);
+        waiting.set(id, (message) => {
+          clearTimeout(timer);
+          resolve(message);
+        });
+        child.stdin.write(JSON.stringify({ jsonrpc: '2.0', id, method, params }) + '\n');
+      }),
+      stop: () => new Promise((resolve) => {
+        child.once('exit', resolve);
+        child.stdin.end();
+      })
+    };
+  }
+
+  async testProxyRetries() {
+    console.log('\n🔌 Testing Proxy Retries...');
+
+    // Mock /mcp: every create_campaign and the first get_campaigns get a gateway 502
+    const calls = { create_campaign: 0, get_campaigns: 0 };
+    const server = http.createServer((req, res) => {
+      if (req.url === '/health') {
+        return res.end(JSON.stringify({ service: 'mock', version: 'test' }));
+      }
+      if (req.method !== 'POST') {
+        res.statusCode = 405;
+        return res.end();
+      }
+
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const message = JSON.parse(body);
+        const reply = (result) => {
+          res.setHeader('Content-Type', 'application/json');
+          res.setHeader('Mcp-Session-Id', 'session-1');
+          res.end(JSON.stringify({ jsonrpc: '2.0', id: message.id, result }));
+        };
+
+        if (message.id === undefined) {
+          res.statusCode = 202;
+          return res.end();
+        }
+        if (message.method === 'initialize') {
+          return reply({ protocolVersion: '2025-03-26', capabilities: {}, serverInfo: { name: 'mock', version: 'test' } });
+        }
+        if (message.method === 'tools/list') {
+          return reply({
+            tools: [
+              { name: 'get_campaigns', inputSchema: { type: 'object' }, annotations: { readOnlyHint: true } },
+              { name: 'create_campaign', inputSchema: { type: 'object' }, annotations: { readOnlyHint: false } }
+            ]
+          });
+        }
+
+        const tool = message.params.name;
+        calls[tool] += 1;
+        if (tool === 'create_campaign' || calls[tool] === 1) {
+          res.statusCode = 502;
+          return res.end('Bad Gateway');
+        }
+        reply({ content: [{ type: 'text', text: '[{"_id":"cam_1"}]' }] });
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const proxy = this.startProxy({
+      LEMLIST_MCP_SERVER_URL: `http://127.0.0.1:${server.address().port}`,
+      PROXY_CONNECT_ATTEMPTS: '3',
+      PROXY_RETRY_BASE_DELAY_MS: '10'
+    });
+
+    try {
+      await proxy.request(1, 'initialize', { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1' } });
+      await proxy.request(2, 'tools/list');
+
+      const write = await proxy.request(3, 'tools/call', { name: 'create_campaign', arguments: { name: 'Launch' } });
+      this.recordTest('Proxy Retry (writes)', Boolean(write.error) && calls.create_campaign === 1,
+        'A write that gets a 502 is reported, not resent');
+
+      const read = await proxy.request(4, 'tools/call', { name: 'get_campaigns', arguments: {} });
+      this.recordTest('Proxy Retry (reads)', Boolean(read.result) && calls.get_campaigns === 2,
+        'A read-only tool call is resent after a 502');
+
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+      const offline = await proxy.request(5, 'tools/call', { name: 'get_campaigns', arguments: {} });
+      this.recordTest('Proxy Offline Cache', offline.result?._meta?.stale === true,
+        'get_campaigns is answered from the cache while the server is down');
+    } finally {
+      await proxy.stop();
+      if (server.listening) server.close();
+    }
+
+    // Nothing listens here: the request must give up at PROXY_TIMEOUT_MS, not after every reconnect attempt
+    const unreachable = this.startProxy({
+      LEMLIST_MCP_SERVER_URL: 'http://127.0.0.1:9',
+      LEMLIST_API_KEY: 'proxy-timeout-key',
+      PROXY_TIMEOUT_MS: '300',
+      PROXY_CONNECT_ATTEMPTS: '6',
+      PROXY_RETRY_BASE_DELAY_MS: '1000'
+    });
+    const startedAt = Date.now();
+    const timedOut = await unreachable.request(1, 'tools/call', { name: 'create_campaign', arguments: {} });
+    this.recordTest('Proxy Timeout (while reconnecting)', timedOut.error?.code === -32001 && Date.now() - startedAt < 5000,
+      'A request waiting for a reconnect still times out at PROXY_TIMEOUT_MS');
+    unreachable.child.kill();
+  }
+
+  async testProxyPassthrough() {
+    console.log('\n🔀 Testing Proxy Passthrough...');
+
+    // Mock /mcp: settles on an older protocol version and answers prompts/list over SSE with a notification first
+    const posted = [];
+    const server = http.createServer((req, res) => {
+      if (req.url === '/health') {
+        return res.end(JSON.stringify({ service: 'mock', version: 'test' }));
+      }
+      if (req.method !== 'POST') {
+        res.statusCode = 405;
+        return res.end();
+      }
+
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const message = JSON.parse(body);
+        posted.push({ message, protocolVersion: req.headers['mcp-protocol-version'] });
+        res.setHeader('Mcp-Session-Id', 'session-1');
+
+        if (message.id === undefined) {
+          res.statusCode = 202;
+          return res.end();
+        }
+        if (message.method === 'initialize') {
+          res.setHeader('Content-Type', 'application/json');
+          return res.end(JSON.stringify({
+            jsonrpc: '2.0', id: message.id,
+            result: { protocolVersion: '2025-03-26', capabilities: { prompts: {} }, serverInfo: { name: 'mock', version: 'test' } }
+          }));
+        }
+        res.setHeader('Content-Type', 'text/event-stream');
+        const events = [
+          { jsonrpc: '2.0', method: 'notifications/message', params: { level: 'info', data: 'listing prompts' } },
+          { jsonrpc: '2.0', id: message.id, result: { prompts: [{ name: 'diagnose_campaign' }] } }
+        ];
+        res.end(events.map(event => `event: message\ndata: ${JSON.stringify(event)}\n\n`).join(''));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const proxy = this.startProxy({
+      LEMLIST_MCP_SERVER_URL: `http://127.0.0.1:${server.address().port}`,
+      LEMLIST_API_KEY: 'proxy-passthrough-key',
+      PROXY_CONNECT_ATTEMPTS: '3',
+      PROXY_RETRY_BASE_DELAY_MS: '10'
+    });
+
+    try {
+      const initialized = await proxy.request(1, 'initialize', { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'test', version: '1' } });
+      this.recordTest('Proxy Passthrough (negotiation)',
+        initialized.result?.protocolVersion === '2025-03-26' && posted[0].message.params.protocolVersion === '2025-06-18',
+        'The client\'s protocol version reaches the server and the server\'s answer comes back unchanged');
+
+      const prompts = await proxy.request(2, 'prompts/list');
+      const forwarded = posted.find(entry => entry.message.method === 'prompts/list');
+      this.recordTest('Proxy Passthrough (any method)',
+        prompts.result?.prompts?.[0]?.name === 'diagnose_campaign' && forwarded?.protocolVersion === '2025-03-26',
+        'Methods the proxy does not know are forwarded with the negotiated Mcp-Protocol-Version');
+      this.recordTest('Proxy Passthrough (server notifications)',
+        proxy.received.some(message => message.method === 'notifications/message'),
+        'Notifications on a response stream are relayed to the client');
+    } finally {
+      await proxy.stop();
+      server.closeAllConnections();
+      server.close();
+    }
+  }
+
   async testBasicAPIConnectivity() {
     console.log('\n🌐 Testing Basic API Connectivity...');
     